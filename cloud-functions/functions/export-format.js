@@ -0,0 +1,121 @@
+/**
+ * Copyright 2017 Google Inc. All Rights Reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *      http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+// Chat history export formats. A format builds the content of the exported file from the exported
+// messages, `[{name, text, imageUrl, profilePicUrl, timestamp, favorite}]` with ISO 8601 timestamps,
+// and the title of their conversation.
+
+// Fields of the exported messages, in the order of the CSV columns.
+const EXPORTED_FIELDS = ['name', 'text', 'imageUrl', 'profilePicUrl', 'timestamp', 'favorite'];
+
+// Returns the exported fields of the given message data.
+function toExportedMessage(message) {
+  return {
+    name: message.name || '',
+    text: message.text || null,
+    imageUrl: message.imageUrl || null,
+    profilePicUrl: message.profilePicUrl || null,
+    timestamp: message.timestamp ? message.timestamp.toDate().toISOString() : null,
+    favorite: Boolean(message.favorite),
+  };
+}
+
+// Builds a JSON document with the title of the conversation and its messages. The import tool reads it back.
+function buildJsonExport(messages, title) {
+  return JSON.stringify({title, exportedAt: new Date().toISOString(), messages}, null, 2);
+}
+
+// Builds a CSV file with a header row and a row per message.
+function buildCsvExport(messages) {
+  const rows = [EXPORTED_FIELDS].concat(messages.map((message) => EXPORTED_FIELDS.map((field) => message[field])));
+  return rows.map((row) => row.map(escapeCsvField).join(',')).join('\r\n') + '\r\n';
+}
+
+// Quotes the given value for CSV when needed. Texts starting like a formula are prefixed with a quote
+// so spreadsheets don't run them.
+function escapeCsvField(value) {
+  let text = value === null || value === undefined ? '' : String(value);
+  if (/^[=+\-@]/.test(text)) {
+    text = `'${text}`;
+  }
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+// Styles of the HTML transcript, copied from the message cards of the web app.
+const HTML_EXPORT_STYLES = `
+  body { font-family: 'Roboto', 'Helvetica', sans-serif; max-width: 800px; margin: 20px auto; color: #757575; }
+  h1 { font-size: 20px; font-weight: normal; }
+  .message-container { display: block; margin-top: 10px; border-top: 1px solid #f3f3f3; padding-top: 10px; }
+  .message-container:first-of-type { border-top-width: 0; }
+  .message-container .spacing { display: table-cell; vertical-align: top; }
+  .message-container .pic { display: block; width: 30px; height: 30px; object-fit: cover; border-radius: 20px;
+    background-color: #ddd; }
+  .message-container .message { display: table-cell; width: calc(100% - 40px); padding: 5px 0 5px 10px;
+    white-space: pre-wrap; }
+  .message-container .message img { max-width: 300px; max-height: 200px; }
+  .message-container .name { display: inline-block; width: 100%; padding-left: 40px; color: #bbb;
+    font-style: italic; font-size: 12px; box-sizing: border-box; }
+`;
+
+// Builds a self-contained HTML page showing the messages as message cards of the web app.
+// URLs are only used as image sources, and only when they are HTTP or HTTPS URLs.
+function buildHtmlExport(messages, title) {
+  const cards = messages.map((message) => {
+    const pic = isHttpUrl(message.profilePicUrl) ?
+        `<img class="pic" src="${escapeHtml(message.profilePicUrl)}" alt="">` : '<div class="pic"></div>';
+    const content = message.text ? escapeHtml(message.text) :
+        isHttpUrl(message.imageUrl) ? `<img src="${escapeHtml(message.imageUrl)}" alt="Image">` : '';
+    const details = [escapeHtml(message.name)];
+    if (message.timestamp) {
+      details.push(escapeHtml(new Date(message.timestamp).toUTCString()));
+    }
+    if (message.favorite) {
+      details.push('★');
+    }
+    return '<div class="message-container">' +
+        `<div class="spacing">${pic}</div>` +
+        `<div class="message">${content}</div>` +
+        `<div class="name">${details.join(' · ')}</div>` +
+        '</div>';
+  });
+
+  return '<!DOCTYPE html>\n<html>\n<head>\n<meta charset="utf-8">\n' +
+      `<title>${escapeHtml(title)}</title>\n<style>${HTML_EXPORT_STYLES}</style>\n</head>\n<body>\n` +
+      `<h1>${escapeHtml(title)}</h1>\n${cards.join('\n')}\n</body>\n</html>\n`;
+}
+
+// Returns true if the given value is an HTTP or HTTPS URL.
+function isHttpUrl(url) {
+  return typeof url === 'string' && /^https?:\/\//i.test(url);
+}
+
+// Escapes the characters of the given text that have a meaning in HTML.
+function escapeHtml(text) {
+  return String(text).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;')
+      .replace(/"/g, '&quot;').replace(/'/g, '&#39;');
+}
+
+// The export formats, by name.
+const EXPORT_FORMATS = {
+  json: {extension: 'json', contentType: 'application/json', build: buildJsonExport},
+  csv: {extension: 'csv', contentType: 'text/csv', build: buildCsvExport},
+  html: {extension: 'html', contentType: 'text/html', build: buildHtmlExport},
+};
+
+module.exports = {
+  EXPORT_FORMATS,
+  toExportedMessage,
+};
@@ -0,0 +1,122 @@
+/**
+ * Copyright 2017 Google Inc. All Rights Reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *      http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+// Chat history import formats. Dumps are read into `[{id, message}]`, oldest first, where `id` is derived
+// from the source of the message so importing the same dump twice gives the same document IDs, and
+// `message` has the fields of the current message schema with a timestamp in milliseconds.
+
+const crypto = require('crypto');
+
+// Characters of the Realtime Database push IDs, whose first 8 characters encode their creation time.
+const PUSH_CHARS = '-0123456789ABCDEFGHIJKLMNOPQRSTUVWXYZ_abcdefghijklmnopqrstuvwxyz';
+
+// Returns the creation time of the given Realtime Database push ID in milliseconds, or null if it isn't one.
+function getPushIdTime(key) {
+  if (!/^[-0-9A-Za-z_]{20}$/.test(key)) {
+    return null;
+  }
+  return key.substring(0, 8).split('').reduce((time, char) => time * 64 + PUSH_CHARS.indexOf(char), 0);
+}
+
+// Reads a legacy Realtime Database dump like `initial_messages.json`: `{messages: {pushId: {name, text}}}`.
+// Push IDs sort in creation order, and the older apps also stored `imageUrl` and `photoUrl`.
+function readLegacyDump(dump) {
+  return Object.keys(dump.messages).sort().map((key) => {
+    const message = dump.messages[key] || {};
+    return {
+      sourceKey: `rtdb:${key}`,
+      time: getPushIdTime(key),
+      name: message.name,
+      text: message.text,
+      imageUrl: message.imageUrl,
+      profilePicUrl: message.profilePicUrl || message.photoUrl,
+      favorite: message.favorite,
+    };
+  });
+}
+
+// Reads a JSON export of the web app: `{title, exportedAt, messages: [{name, text, imageUrl, profilePicUrl,
+// timestamp, favorite}]}`, oldest first. Exports have no message IDs, so messages are identified by their content.
+function readJsonExport(dump) {
+  return dump.messages.map((message) => {
+    message = message || {};
+    const time = message.timestamp ? Date.parse(message.timestamp) : NaN;
+    return {
+      sourceKey: `export:${[message.timestamp, message.name, message.text, message.imageUrl].join('\n')}`,
+      time: isNaN(time) ? null : time,
+      name: message.name,
+      text: message.text,
+      imageUrl: message.imageUrl,
+      profilePicUrl: message.profilePicUrl,
+      favorite: message.favorite,
+    };
+  });
+}
+
+// Returns the format of the given dump, `legacy` or `export`, or null if it isn't a known one.
+function getImportFormat(dump) {
+  if (!dump || !dump.messages || typeof dump.messages !== 'object') {
+    return null;
+  }
+  return Array.isArray(dump.messages) ? 'export' : 'legacy';
+}
+
+// Reads the messages of the given dump. Messages without a text nor an image URL are left out, and so
+// are the repeated ones, which would get the same document ID.
+// Messages without a time, or with the same time as the previous one, get a synthetic timestamp one
+// millisecond after the previous message so they keep their order, starting right before now.
+function readImportedMessages(dump) {
+  const entries = getImportFormat(dump) === 'export' ? readJsonExport(dump) : readLegacyDump(dump);
+  const sourceKeys = new Set();
+  const validEntries = entries.filter((entry) => {
+    if (sourceKeys.has(entry.sourceKey)) {
+      return false;
+    }
+    sourceKeys.add(entry.sourceKey);
+    return typeof entry.text === 'string' && entry.text ||
+        typeof entry.imageUrl === 'string' && /^https?:\/\//.test(entry.imageUrl);
+  });
+
+  let previousTime = null;
+  return validEntries.map((entry) => {
+    let timestamp = entry.time;
+    if (previousTime === null) {
+      timestamp = timestamp !== null ? timestamp : Date.now() - validEntries.length;
+    } else if (timestamp === null || timestamp <= previousTime) {
+      timestamp = previousTime + 1;
+    }
+    previousTime = timestamp;
+
+    const message = {
+      name: typeof entry.name === 'string' && entry.name ? entry.name : 'Anonymous',
+      profilePicUrl: typeof entry.profilePicUrl === 'string' ? entry.profilePicUrl : null,
+      timestamp,
+      favorite: entry.favorite === true,
+    };
+    if (typeof entry.text === 'string' && entry.text) {
+      message.text = entry.text;
+    } else {
+      message.imageUrl = entry.imageUrl;
+    }
+    const id = `imported-${crypto.createHash('sha1').update(entry.sourceKey).digest('hex').substring(0, 20)}`;
+    return {id, message};
+  });
+}
+
+module.exports = {
+  getImportFormat,
+  readImportedMessages,
+};
@@ -22,19 +22,38 @@ admin.initializeApp();
 const Vision = require('@google-cloud/vision');
 const vision = new Vision.ImageAnnotatorClient();
 const {promisify} = require('util');
-const exec = promisify(require('child_process').exec);
+const execFile = promisify(require('child_process').execFile);
 const path = require('path');
 const os = require('os');
 const fs = require('fs');
+const crypto = require('crypto');
+const {getLinkPreviewFetcher} = require('./link-preview');
+const {getTextModerationEngine, maskText} = require('./moderation');
+const {EXPORT_FORMATS, toExportedMessage} = require('./export-format');
+const {getImportFormat, readImportedMessages} = require('./import-format');
+
+// The channel every user is added to when signing in for the first time.
+const DEFAULT_CHANNEL_ID = 'general';
+
+// The placeholder image URL used by the clients while an image message is uploading.
+const LOADING_IMAGE_URL = 'https://www.google.com/images/spin-32.gif?a';
 
 // Adds a message that welcomes new users into the chat.
 exports.addWelcomeMessages = functions.auth.user().onCreate(async (user) => {
   functions.logger.log('A new user signed in for the first time.');
   const fullName = user.displayName || 'Anonymous';
+  const channelRef = admin.firestore().collection('channels').doc(DEFAULT_CHANNEL_ID);
+
+  // Makes the new user a member of the default channel, creating it if needed.
+  await channelRef.set({
+    name: DEFAULT_CHANNEL_ID,
+    archived: false,
+    members: admin.firestore.FieldValue.arrayUnion(user.uid),
+  }, {merge: true});
 
   // Saves the new welcome message into the database
   // which then displays it in the FriendlyChat clients.
-  await admin.firestore().collection('messages').add({
+  await channelRef.collection('messages').add({
     name: 'Firebase Bot',
     profilePicUrl: '/images/firebase-logo.png', // Firebase logo
     text: `${fullName} signed in for the first time! Welcome!`,
@@ -43,9 +62,15 @@ exports.addWelcomeMessages = functions.auth.user().onCreate(async (user) => {
   functions.logger.log('Welcome message written to database.');
 });
 
-// Checks if uploaded images are flagged as Adult or Violence and if so blurs them.
+// Checks if uploaded images are flagged as Adult or Violence and if so blurs them. Images detected as OK,
+// including the blurred ones once they are uploaded again, then get their resized variants.
 exports.blurOffensiveImages = functions.runWith({memory: '2GB'}).storage.object().onFinalize(
     async (object) => {
+      // Only images are checked, other attachments are shared as they are.
+      if (!/^image\//.test(object.contentType || '') || isImageVariant(object.name)) {
+        functions.logger.log('The file', object.name, 'is not an original image.');
+        return null;
+      }
       const imageUri = `gs://${object.bucket}/${object.name}`;
 
       // Check the image content using the Cloud Vision API.
@@ -55,14 +80,132 @@ exports.blurOffensiveImages = functions.runWith({memory: '2GB'}).storage.object(
       if (Likelihood[safeSearchResult.adult] >= Likelihood.LIKELY ||
           Likelihood[safeSearchResult.violence] >= Likelihood.LIKELY) {
         functions.logger.log('The image', object.name, 'has been detected as inappropriate.');
-        return blurImage(object.name);
+        await blurImage(object.name, object.metadata);
+        return null;
       }
       functions.logger.log('The image', object.name, 'has been detected as OK.');
+      await generateImageVariants(object);
+      return null;
+    });
+
+// Widths of the resized variants of the shared images, and the formats they are generated in.
+const IMAGE_VARIANT_WIDTHS = [320, 640, 1280];
+const IMAGE_VARIANT_FORMATS = [
+  {format: 'webp', contentType: 'image/webp'},
+  {format: 'jpeg', contentType: 'image/jpeg'},
+];
+
+// Generates resized WebP and JPEG variants of the given shared image, stored in `{uid}/{messageId}/variants/`,
+// and records them on the message with the size of the image and a tiny blurred placeholder,
+// so clients can load images lazily without layout shift. Variants are only generated once
+// blurOffensiveImages checked the image, so they never show an image it blurs.
+async function generateImageVariants(object) {
+  if (!object.metadata) {
+    return;
+  }
+
+  // The file name is chosen by the client, so local files are named after the message ID, which
+  // must be a document ID, and ImageMagick is run without a shell.
+  const bucket = admin.storage().bucket(object.bucket);
+  const messageId = object.name.split('/')[1];
+  if (!/^[A-Za-z0-9_-]+$/.test(messageId)) {
+    functions.logger.log('The file', object.name, 'is not the image of a message.');
+    return;
+  }
+  const tempLocalFile = path.join(os.tmpdir(), `${messageId}-original`);
+  await bucket.file(object.name).download({destination: tempLocalFile});
+
+  try {
+    // Read the size of the image once rotated the way it is displayed.
+    const {stdout} = await execFile('convert', [tempLocalFile, '-auto-orient', '-format', '%w %h', 'info:']);
+    const [width, height] = stdout.trim().split(' ').map(Number);
+    const {stdout: placeholder} = await execFile('convert',
+        [tempLocalFile, '-auto-orient', '-strip', '-resize', '16x16', '-blur', '0x1', '-quality', '40', 'jpeg:-'],
+        {encoding: 'buffer'});
+
+    // Variants are only generated for widths smaller than the original, which is always kept.
+    // They are generated one after the other to keep the memory use of ImageMagick low.
+    const variants = [];
+    IMAGE_VARIANT_WIDTHS.filter((variantWidth) => variantWidth < width).forEach((variantWidth) => {
+      IMAGE_VARIANT_FORMATS.forEach(({format, contentType}) => {
+        variants.push({variantWidth, format, contentType, variantHeight: Math.round(height * variantWidth / width)});
+      });
     });
+    const sources = await variants.reduce((previous, variant) => previous.then(async (generatedSources) =>
+      generatedSources.concat(await generateImageVariant(bucket, object, tempLocalFile, messageId, variant))),
+    Promise.resolve([]));
+
+    await getConversationRef(object.metadata).collection('messages').doc(messageId).update({
+      imageVariants: {
+        width,
+        height,
+        placeholder: `data:image/jpeg;base64,${placeholder.toString('base64')}`,
+        sources,
+      },
+    });
+    functions.logger.log('Generated', sources.length, 'variants of the image', object.name);
+  } finally {
+    fs.unlinkSync(tempLocalFile);
+  }
+}
+
+// Generates the given variant of the original image of the given Storage object, downloaded in the given local
+// file, uploads it next to the original and resolves with its source: `{path, url, format, width, height}`.
+async function generateImageVariant(bucket, object, localFile, messageId, variant) {
+  const {variantWidth, variantHeight, format, contentType} = variant;
+  const variantName = `${variantWidth}w.${format}`;
+  const tempVariantFile = path.join(os.tmpdir(), `${messageId}-${variantName}`);
+  await execFile('convert',
+      [localFile, '-auto-orient', '-strip', '-resize', `${variantWidth}x`, '-quality', '80', tempVariantFile]);
+  const variantPath = `${path.dirname(object.name)}/variants/${variantName}`;
+  const url = await uploadImageVariant(bucket, tempVariantFile, variantPath, contentType, object.metadata);
+  fs.unlinkSync(tempVariantFile);
+  return {path: variantPath, url, format, width: variantWidth, height: variantHeight};
+}
+
+// Returns true if the given Storage path is a resized variant generated by generateImageVariants:
+// `{uid}/{messageId}/variants/{fileName}`. Storage rules don't let users upload there.
+function isImageVariant(filePath) {
+  const segments = filePath.split('/');
+  return segments.length === 4 && segments[2] === 'variants';
+}
+
+// Uploads the given image variant with the conversation metadata of its original, so Storage rules
+// allow the members of the conversation to read it, and returns its download URL.
+async function uploadImageVariant(bucket, localFile, destination, contentType, originalMetadata) {
+  // A new download token is used every time so blurred variants don't get served from the cache.
+  const token = crypto.randomBytes(16).toString('hex');
+  const metadata = {firebaseStorageDownloadTokens: token};
+  ['channelId', 'dmId'].forEach((key) => {
+    if (originalMetadata[key]) {
+      metadata[key] = originalMetadata[key];
+    }
+  });
+
+  await bucket.upload(localFile, {destination, metadata: {contentType, metadata}});
+  return getDownloadUrl(bucket, destination, token);
+}
+
+// Returns the URL clients download the given file of the given bucket with, using its download token.
+function getDownloadUrl(bucket, filePath, token) {
+  return `https://firebasestorage.googleapis.com/v0/b/${bucket.name}/o/${encodeURIComponent(filePath)}` +
+      `?alt=media&token=${token}`;
+}
+
+// Returns the channel or direct message thread a Storage file was uploaded to,
+// based on the `channelId` or `dmId` custom metadata set by the clients.
+function getConversationRef(metadata) {
+  if (metadata.dmId) {
+    return admin.firestore().collection('dms').doc(metadata.dmId);
+  }
+  return admin.firestore().collection('channels').doc(metadata.channelId);
+}
 
 // Blurs the given image located in the given bucket using ImageMagick.
-async function blurImage(filePath) {
-  const tempLocalFile = path.join(os.tmpdir(), path.basename(filePath));
+// The metadata tells which conversation the message of the image belongs to.
+async function blurImage(filePath, metadata) {
+  // The file name is chosen by the client, so the local file gets a random name and ImageMagick is run without a shell.
+  const tempLocalFile = path.join(os.tmpdir(), `blur-${crypto.randomBytes(16).toString('hex')}`);
   const messageId = filePath.split(path.sep)[1];
   const bucket = admin.storage().bucket();
 
@@ -70,48 +213,787 @@ async function blurImage(filePath) {
   await bucket.file(filePath).download({destination: tempLocalFile});
   functions.logger.log('Image has been downloaded to', tempLocalFile);
   // Blur the image using ImageMagick.
-  await exec(`convert "${tempLocalFile}" -channel RGBA -blur 0x24 "${tempLocalFile}"`);
+  await execFile('convert', [tempLocalFile, '-channel', 'RGBA', '-blur', '0x24', tempLocalFile]);
   functions.logger.log('Image has been blurred');
-  // Uploading the Blurred image back into the bucket.
-  await bucket.upload(tempLocalFile, {destination: filePath});
+  // Uploading the Blurred image back into the bucket, keeping the conversation it belongs to.
+  await bucket.upload(tempLocalFile, {destination: filePath, metadata: {metadata}});
   functions.logger.log('Blurred image has been uploaded to', filePath);
   // Deleting the local file to free up disk space.
   fs.unlinkSync(tempLocalFile);
   functions.logger.log('Deleted local file.');
   // Indicate that the message has been moderated.
-  await admin.firestore().collection('messages').doc(messageId).update({moderated: true});
+  const messageRef = getConversationRef(metadata).collection('messages').doc(messageId);
+  await messageRef.update({moderated: true});
   functions.logger.log('Marked the image as moderated in the database.');
+  const messageSnapshot = await messageRef.get();
+  await recordAuditEntry('blur', null, messageRef, messageSnapshot.data() || {});
+}
+
+// Detects offensive text. Set the TEXT_MODERATION_ENGINE environment variable to pick another engine.
+const detectOffensiveText = getTextModerationEngine();
+
+// How long the moderation configuration is cached by a function instance.
+const MODERATION_CONFIG_CACHE_MS = 60 * 1000;
+let moderationConfig = null;
+let moderationConfigLoadedAt = 0;
+
+// Returns the moderation configuration saved by admins in `config/moderation`:
+// `{words, patterns, action}` where action is `mask`, `flag` or `hide` and defaults to `mask`.
+async function getModerationConfig() {
+  if (!moderationConfig || Date.now() - moderationConfigLoadedAt > MODERATION_CONFIG_CACHE_MS) {
+    const configSnapshot = await admin.firestore().collection('config').doc('moderation').get();
+    moderationConfig = configSnapshot.data() || {};
+    moderationConfigLoadedAt = Date.now();
+  }
+  return moderationConfig;
+}
+
+// Checks the text of new and edited messages against the word list and the pattern rules of the
+// moderation configuration. Offensive messages are masked, flagged or hidden, depending on the configured
+// action, and marked as moderated. Their original text stays available to moderators in their revisions.
+exports.moderateMessages = functions.firestore.document(
+    '{conversationType}/{conversationId}/messages/{messageId}').onWrite(moderateMessage);
+
+// Checks the text of new and edited thread replies the same way as the messages.
+exports.moderateReplies = functions.firestore.document(
+    '{conversationType}/{conversationId}/messages/{messageId}/replies/{replyId}').onWrite(moderateMessage);
+
+// Moderates the text of the given written message or reply, if it's new.
+async function moderateMessage(change) {
+  const before = change.before.exists ? change.before.data() : {};
+  const message = change.after.exists ? change.after.data() : null;
+  // Only new texts are checked. The updates made by this function, or by moderators, record a new
+  // moderation and are skipped, so a masked text isn't checked again and its moderation lifted.
+  if (!message || !message.text || message.text === before.text || isNewModeration(before, message)) {
+    return;
+  }
+
+  const config = await getModerationConfig();
+  const matches = await detectOffensiveText(message.text, config);
+  const FieldValue = admin.firestore.FieldValue;
+
+  if (matches.length === 0) {
+    // An edit can fix a message moderated automatically before. The moderations of moderators stay.
+    if (message.moderation && !message.moderation.by) {
+      await change.after.ref.update({
+        moderated: FieldValue.delete(),
+        moderation: FieldValue.delete(),
+        hidden: FieldValue.delete(),
+      });
+      functions.logger.log('Moderation of message', change.after.id, 'lifted.');
+    }
+    return;
+  }
+
+  const action = ['mask', 'flag', 'hide'].includes(config.action) ? config.action : 'mask';
+  const update = {
+    moderated: true,
+    moderation: {action, matchCount: matches.length, moderatedAt: FieldValue.serverTimestamp()},
+  };
+  if (action === 'mask') {
+    update.text = maskText(message.text, matches);
+  } else if (action === 'hide') {
+    update.text = '';
+    update.hidden = true;
+  }
+  await change.after.ref.update(update);
+  functions.logger.log('Message', change.after.id, 'moderated with action', action);
 }
 
-// Sends a notifications to all users when a new message is posted.
-exports.sendNotifications = functions.firestore.document('messages/{messageId}').onCreate(
+// Sends a notifications to all members of a channel but the author when a new message is posted in it.
+// Imported messages are old history, so they don't notify anyone.
+exports.sendNotifications = functions.firestore.document('channels/{channelId}/messages/{messageId}').onCreate(
+  async (snapshot, context) => {
+    if (snapshot.get('imported')) {
+      return;
+    }
+    const channel = await admin.firestore().collection('channels').doc(context.params.channelId).get();
+    const recipients = (channel.get('members') || []).filter((uid) => uid !== snapshot.get('uid'));
+    await sendMessageNotifications(snapshot.data(), recipients);
+  });
+
+// Fetches link previews. Set the LINK_PREVIEW_FETCHER environment variable to `stub` to generate
+// previews offline, for instance in the emulators.
+const fetchLinkPreview = getLinkPreviewFetcher();
+
+// Stores the preview of the first URL of a new message, with the title, description and thumbnail
+// of the linked page, so clients can show it as a card.
+exports.generateLinkPreviews = functions.firestore.document(
+    '{conversationType}/{conversationId}/messages/{messageId}').onCreate(
   async (snapshot) => {
-    // Notification details.
-    const text = snapshot.data().text;
-    const payload = {
-      notification: {
-        title: `${snapshot.data().name} posted ${text ? 'a message' : 'an image'}`,
-        body: text ? (text.length <= 100 ? text : text.substring(0, 97) + '...') : '',
-        icon: snapshot.data().profilePicUrl || '/images/profile_placeholder.png',
-        click_action: `https://${process.env.GCLOUD_PROJECT}.firebaseapp.com`,
+    const urls = (snapshot.get('text') || '').match(/https?:\/\/[^\s<>()]+/i);
+    if (!urls) {
+      return;
+    }
+
+    try {
+      const linkPreview = await fetchLinkPreview(urls[0]);
+      if (linkPreview) {
+        await snapshot.ref.update({linkPreview});
+        functions.logger.log('Link preview of message', snapshot.id, 'stored.');
       }
-    };
+    } catch (error) {
+      functions.logger.error('Error fetching link preview of', urls[0], error);
+    }
+  });
+
+// Sends a notification only to the recipient of a new direct message.
+exports.sendDirectMessageNotifications = functions.firestore.document('dms/{dmId}/messages/{messageId}').onCreate(
+  async (snapshot, context) => {
+    if (snapshot.get('imported')) {
+      return;
+    }
+    const dm = await admin.firestore().collection('dms').doc(context.params.dmId).get();
+    const recipients = (dm.get('members') || []).filter((uid) => uid !== snapshot.data().uid);
+    await sendMessageNotifications(snapshot.data(), recipients);
+  });
+
+// Keeps the reply count and the last reply time of a message up to date when a reply is posted in its thread
+// or deleted from it.
+exports.updateThreadSummaries = functions.firestore.document(
+    '{conversationType}/{conversationId}/messages/{messageId}/replies/{replyId}').onWrite(
+  async (change) => {
+    if (change.before.exists === change.after.exists) {
+      return;
+    }
+    const messageRef = change.after.ref.parent.parent;
+
+    if (change.after.exists) {
+      await messageRef.update({
+        replyCount: admin.firestore.FieldValue.increment(1),
+        lastReplyAt: change.after.get('timestamp') || admin.firestore.FieldValue.serverTimestamp(),
+      });
+    } else {
+      // Replies are also deleted with their message, which then has no summary to update.
+      const [message, lastReplies] = await Promise.all([
+        messageRef.get(),
+        messageRef.collection('replies').orderBy('timestamp', 'desc').limit(1).get(),
+      ]);
+      if (!message.exists) {
+        return;
+      }
+      await messageRef.update({
+        replyCount: admin.firestore.FieldValue.increment(-1),
+        lastReplyAt: lastReplies.empty ? admin.firestore.FieldValue.delete() : lastReplies.docs[0].get('timestamp'),
+      });
+    }
+    functions.logger.log('Thread summary of message', messageRef.id, 'updated.');
+  });
+
+// Sends a notification to the participants of a thread, the author of the replied message and
+// everybody who replied to it, when a new reply is posted in it.
+exports.sendThreadNotifications = functions.firestore.document(
+    '{conversationType}/{conversationId}/messages/{messageId}/replies/{replyId}').onCreate(
+  async (snapshot) => {
+    const messageRef = snapshot.ref.parent.parent;
+    const [message, replies] = await Promise.all([messageRef.get(), messageRef.collection('replies').get()]);
+
+    const participants = new Set([message.get('uid')]);
+    replies.forEach((replyDoc) => {
+      participants.add(replyDoc.get('uid'));
+    });
+    // The author of the reply doesn't need to be notified.
+    participants.delete(snapshot.get('uid'));
+    participants.delete(undefined);
+
+    await sendMessageNotifications(snapshot.data(), Array.from(participants),
+        `${snapshot.get('name')} replied in a thread`);
+  });
+
+// Records the previous text of a message in its revisions when its author edits it,
+// so moderators can inspect the edit history.
+exports.recordMessageRevisions = functions.firestore.document(
+    '{conversationType}/{conversationId}/messages/{messageId}').onUpdate(recordMessageRevision);
+
+// Records the previous text of the thread replies in their revisions the same way as the messages.
+exports.recordReplyRevisions = functions.firestore.document(
+    '{conversationType}/{conversationId}/messages/{messageId}/replies/{replyId}').onUpdate(recordMessageRevision);
+
+// Records the previous text of the given updated message or reply, if it changed.
+async function recordMessageRevision(change) {
+  const before = change.before.data();
+  const after = change.after.data();
+
+  if (before.text !== after.text) {
+    // Texts masked or hidden by moderateMessages aren't edits of the author.
+    const isModeration = isNewModeration(before, after);
+    await change.after.ref.collection('revisions').add({
+      text: before.text || '',
+      editedBy: isModeration ? 'moderation' : after.uid || null,
+      editedAt: !isModeration && after.editedAt || admin.firestore.FieldValue.serverTimestamp(),
+    });
+    functions.logger.log('Revision of message', change.after.id, 'recorded.');
+  }
+}
+
+// Records in the audit log the messages moved to and out of the trash, the edits of the authors and the
+// messages masked, flagged or hidden by moderateMessages or by moderators, with the content they had before.
+exports.auditMessageUpdates = functions.firestore.document(
+    '{conversationType}/{conversationId}/messages/{messageId}').onUpdate(auditMessageUpdate);
+
+// Records in the audit log the edits and the moderations of the thread replies the same way as the messages.
+exports.auditReplyUpdates = functions.firestore.document(
+    '{conversationType}/{conversationId}/messages/{messageId}/replies/{replyId}').onUpdate(auditMessageUpdate);
+
+// Records the given update of a message or a reply in the audit log, if it's audited.
+async function auditMessageUpdate(change) {
+  const before = change.before.data();
+  const after = change.after.data();
+
+  if (!before.trashed && after.trashed) {
+    await recordAuditEntry('trash', after.trashedBy || null, change.after.ref, before);
+  } else if (before.trashed && !after.trashed) {
+    await recordAuditEntry('restore', after.restoredBy || null, change.after.ref, before);
+  } else if (isNewModeration(before, after)) {
+    // Moderators record who they are when hiding a reported message, automatic moderation doesn't.
+    await recordAuditEntry(after.moderation.action, after.moderation.by || null, change.after.ref, before);
+  } else if (before.text !== after.text) {
+    await recordAuditEntry('edit', after.uid || null, change.after.ref, before);
+  }
+}
+
+// Records in the audit log the messages deleted for good with their content. Clients can't delete messages,
+// they move them to the trash, so deletions are made by Cloud Functions: purgeTrashedMessages and
+// applyRetentionPolicy.
+exports.auditMessageDeletes = functions.firestore.document(
+    '{conversationType}/{conversationId}/messages/{messageId}').onDelete(
+  async (snapshot) => {
+    await recordAuditEntry(snapshot.get('trashed') ? 'purge' : 'delete', null, snapshot.ref, snapshot.data());
+  });
+
+// How many days trashed messages can be restored before purgeTrashedMessages deletes them for good.
+// Set the TRASH_RETENTION_DAYS environment variable to change it.
+const TRASH_RETENTION_DAYS = Number(process.env.TRASH_RETENTION_DAYS) || 30;
+
+// Number of trashed messages purged at a time.
+const PURGE_BATCH_SIZE = 100;
+
+// Deletes for good, every day, the messages that stayed in the trash longer than the retention window, with
+// their replies and revisions. Their Storage files are deleted with them by deleteMessageFiles.
+exports.purgeTrashedMessages = functions.pubsub.schedule('every 24 hours').onRun(async () => {
+  const cutoff = admin.firestore.Timestamp.fromMillis(Date.now() - TRASH_RETENTION_DAYS * 24 * 60 * 60 * 1000);
+  const expiredQuery = admin.firestore().collectionGroup('messages')
+      .where('trashed', '==', true).where('trashedAt', '<', cutoff).limit(PURGE_BATCH_SIZE);
+
+  let purgedCount = 0;
+  let snapshot;
+  do {
+    // Purged messages leave the query, so the next batch is only read once this one is deleted.
+    // eslint-disable-next-line no-await-in-loop
+    snapshot = await purgeMessageBatch(expiredQuery);
+    purgedCount += snapshot.size;
+  } while (snapshot.size === PURGE_BATCH_SIZE);
+  functions.logger.log('Purged', purgedCount, 'messages trashed more than', TRASH_RETENTION_DAYS, 'days ago.');
+});
+
+// Deletes the messages of the given query with their replies and revisions, and resolves with them.
+async function purgeMessageBatch(expiredQuery) {
+  const snapshot = await expiredQuery.get();
+  await Promise.all(snapshot.docs.map((messageDoc) => admin.firestore().recursiveDelete(messageDoc.ref)));
+  return snapshot;
+}
+
+// Number of expired messages read at a time by applyRetentionPolicy.
+const RETENTION_BATCH_SIZE = 100;
+
+// Deletes, every day, the messages older than the retention policy saved by admins in `config/retention`,
+// `{maxAgeDays, keepFavorites}`, with their replies, revisions and Storage files. Favorites are kept unless
+// `keepFavorites` is false, and trashed messages are left to purgeTrashedMessages. Each run is reported
+// in `retentionRuns` with the number of messages and files it removed.
+exports.applyRetentionPolicy = functions.pubsub.schedule('every 24 hours').onRun(async () => {
+  const config = await admin.firestore().collection('config').doc('retention').get();
+  const maxAgeDays = Number(config.get('maxAgeDays')) || 0;
+  if (maxAgeDays <= 0) {
+    functions.logger.log('No retention policy, messages are kept forever.');
+    return;
+  }
+  const keepFavorites = config.get('keepFavorites') !== false;
+
+  const startedAt = admin.firestore.Timestamp.now();
+  const cutoff = admin.firestore.Timestamp.fromMillis(Date.now() - maxAgeDays * 24 * 60 * 60 * 1000);
+  const expiredQuery = admin.firestore().collectionGroup('messages')
+      .where('timestamp', '<', cutoff).orderBy('timestamp').limit(RETENTION_BATCH_SIZE);
+
+  let deletedMessages = 0;
+  let deletedFiles = 0;
+  let batch;
+  let lastMessageDoc = null;
+  do {
+    // Kept messages stay in the results, so the next batch starts after the last message of this one.
+    // eslint-disable-next-line no-await-in-loop
+    batch = await deleteExpiredMessageBatch(expiredQuery, keepFavorites, lastMessageDoc);
+    deletedMessages += batch.deletedMessages;
+    deletedFiles += batch.deletedFiles;
+    lastMessageDoc = batch.snapshot.docs[batch.snapshot.docs.length - 1];
+  } while (batch.snapshot.size === RETENTION_BATCH_SIZE);
+
+  await admin.firestore().collection('retentionRuns').add({
+    maxAgeDays,
+    keepFavorites,
+    cutoff,
+    deletedMessages,
+    deletedFiles,
+    startedAt,
+    finishedAt: admin.firestore.FieldValue.serverTimestamp(),
+  });
+  functions.logger.log('Retention policy deleted', deletedMessages, 'messages and', deletedFiles,
+      'files older than', maxAgeDays, 'days.');
+});
+
+// Deletes the messages of the given query starting after the given message, with their files, except the
+// trashed messages and, if they are kept, the favorites. Resolves with the messages read and how many
+// messages and files were deleted: `{snapshot, deletedMessages, deletedFiles}`.
+async function deleteExpiredMessageBatch(expiredQuery, keepFavorites, lastMessageDoc) {
+  const snapshot = await (lastMessageDoc ? expiredQuery.startAfter(lastMessageDoc) : expiredQuery).get();
+  const expiredDocs = snapshot.docs.filter((messageDoc) =>
+    !messageDoc.get('trashed') && !(keepFavorites && messageDoc.get('favorite')));
+  const fileCounts = await Promise.all(expiredDocs.map(async (messageDoc) => {
+    const fileCount = await deleteMessageStorageFiles(messageDoc.data(), messageDoc.id);
+    await admin.firestore().recursiveDelete(messageDoc.ref);
+    return fileCount;
+  }));
+  return {
+    snapshot,
+    deletedMessages: expiredDocs.length,
+    deletedFiles: fileCounts.reduce((total, fileCount) => total + fileCount, 0),
+  };
+}
+
+// Deletes the files of a message from Cloud Storage when the message is deleted.
+// Files are stored under `{uid}/{messageId}/`.
+exports.deleteMessageFiles = functions.firestore.document(
+    '{conversationType}/{conversationId}/messages/{messageId}').onDelete(
+  async (snapshot) => {
+    const fileCount = await deleteMessageStorageFiles(snapshot.data(), snapshot.id);
+    functions.logger.log(fileCount, 'files of message', snapshot.id, 'deleted.');
+  });
+
+// Maintains the search tokens of a message, the words of its text, and whether it has an image,
+// so clients can search messages with Cloud Firestore queries. Tokens are recomputed when the message
+// is created or edited, and go away with the message when it is deleted.
+exports.indexMessageSearchTokens = functions.firestore.document(
+    '{conversationType}/{conversationId}/messages/{messageId}').onWrite(
+  async (change) => {
+    if (!change.after.exists) {
+      functions.logger.log('Search tokens of message', change.before.id, 'removed with it.');
+      return;
+    }
+
+    const message = change.after.data();
+    const searchTokens = getSearchTokens(message.text);
+    const hasImage = Boolean(message.imageUrl) && message.imageUrl !== LOADING_IMAGE_URL;
+
+    // Skip the writes that don't change the index, including the one made by this function.
+    if (message.hasImage === hasImage &&
+        JSON.stringify(message.searchTokens || []) === JSON.stringify(searchTokens)) {
+      return;
+    }
+    await change.after.ref.update({searchTokens, hasImage});
+    functions.logger.log('Search tokens of message', change.after.id, 'updated.');
+  });
+
+// Sends a high-priority notification to the members of a conversation mentioned in a new message.
+exports.sendMentionNotifications = functions.firestore.document(
+    '{conversationType}/{conversationId}/messages/{messageId}').onCreate(
+  async (snapshot, context) => {
+    const mentions = snapshot.get('mentions') || [];
+    if (mentions.length === 0) {
+      return;
+    }
+
+    // Only members of the conversation can be notified, and the author doesn't need to be.
+    const {conversationType, conversationId} = context.params;
+    const conversation = await admin.firestore().collection(conversationType).doc(conversationId).get();
+    const members = conversation.get('members') || [];
+    const mentioned = mentions.filter((uid) => members.includes(uid) && uid !== snapshot.get('uid'));
+
+    await sendMessageNotifications(snapshot.data(), mentioned, 'You were mentioned', {priority: 'high'});
+    functions.logger.log('Mention notifications sent to', mentioned.length, 'users.');
+  });
+
+// Maximum number of writes of a Firestore batch.
+const UNREAD_BATCH_SIZE = 500;
+
+// Increments the unread counts of the members of a conversation, except its author, when a new message is posted in it.
+// Counts are stored in `users/{uid}/unread/{conversationType}_{conversationId}` and reset by the clients when they read it.
+// Imported messages are old history and aren't counted.
+exports.countUnreadMessages = functions.firestore.document(
+    '{conversationType}/{conversationId}/messages/{messageId}').onCreate(
+  async (snapshot, context) => {
+    if (snapshot.get('imported')) {
+      return;
+    }
+    const {conversationType, conversationId} = context.params;
+    const conversation = await admin.firestore().collection(conversationType).doc(conversationId).get();
+    const readers = (conversation.get('members') || []).filter((uid) => uid !== snapshot.get('uid'));
+
+    // Large channels are updated in several batches.
+    const batches = [];
+    for (let start = 0; start < readers.length; start += UNREAD_BATCH_SIZE) {
+      const batch = admin.firestore().batch();
+      readers.slice(start, start + UNREAD_BATCH_SIZE).forEach((uid) => {
+        const unreadRef = admin.firestore().collection('users').doc(uid)
+            .collection('unread').doc(`${conversationType}_${conversationId}`);
+        batch.set(unreadRef, {count: admin.firestore.FieldValue.increment(1)}, {merge: true});
+      });
+      batches.push(batch.commit());
+    }
+    await Promise.all(batches);
+    functions.logger.log('Unread counts of', readers.length, 'members incremented.');
+  });
 
-    // Get the list of device tokens.
-    const allTokens = await admin.firestore().collection('fcmTokens').get();
-    const tokens = [];
-    allTokens.forEach((tokenDoc) => {
-      tokens.push(tokenDoc.id);
+// Number of messages read at a time by exportMessages.
+const EXPORT_BATCH_SIZE = 500;
+
+// Exports larger than this, in bytes, are saved in Cloud Storage rather than returned by exportMessages.
+const MAX_INLINE_EXPORT_SIZE = 1024 * 1024;
+
+// Exports the messages of a conversation the caller is a member of, oldest first, as `json`, `csv` or `html`.
+// Messages can be limited to the favorites and to a date range, `from` included and `to` excluded, in
+// milliseconds. Small exports are returned as `{fileName, contentType, content}`, larger ones are saved in
+// Cloud Storage under `exports/{uid}/` and returned as `{fileName, url}`.
+exports.exportMessages = functions.runWith({memory: '1GB', timeoutSeconds: 300}).https.onCall(
+  async (data, context) => {
+    if (!context.auth) {
+      throw new functions.https.HttpsError('unauthenticated', 'You must be signed in to export messages.');
+    }
+    const {conversationType, conversationId, format, from, to, favoritesOnly} = data || {};
+    const exportFormat = EXPORT_FORMATS[format];
+    if (!['channels', 'dms'].includes(conversationType) || typeof conversationId !== 'string' || !exportFormat) {
+      throw new functions.https.HttpsError('invalid-argument',
+          `Give a conversation and a format among ${Object.keys(EXPORT_FORMATS).join(', ')}.`);
+    }
+
+    const conversation = await admin.firestore().collection(conversationType).doc(conversationId).get();
+    if (!(conversation.get('members') || []).includes(context.auth.uid)) {
+      throw new functions.https.HttpsError('permission-denied', 'Only members can export a conversation.');
+    }
+
+    // Messages are read newest first, which the indexes of the favorite filter are made for.
+    let messagesQuery = conversation.ref.collection('messages').orderBy('timestamp', 'desc');
+    if (favoritesOnly) {
+      messagesQuery = messagesQuery.where('favorite', '==', true);
+    }
+    if (typeof from === 'number') {
+      messagesQuery = messagesQuery.where('timestamp', '>=', admin.firestore.Timestamp.fromMillis(from));
+    }
+    if (typeof to === 'number') {
+      messagesQuery = messagesQuery.where('timestamp', '<', admin.firestore.Timestamp.fromMillis(to));
+    }
+    messagesQuery = messagesQuery.limit(EXPORT_BATCH_SIZE);
+
+    const messages = [];
+    let snapshot;
+    do {
+      const lastMessageDoc = snapshot && snapshot.docs[snapshot.docs.length - 1];
+      // Each batch starts after the last message of the previous one, so batches are read one after the other.
+      // eslint-disable-next-line no-await-in-loop
+      snapshot = await (lastMessageDoc ? messagesQuery.startAfter(lastMessageDoc) : messagesQuery).get();
+      snapshot.forEach((messageDoc) => {
+        if (!messageDoc.get('trashed')) {
+          messages.push(toExportedMessage(messageDoc.data()));
+        }
+      });
+    } while (snapshot.size === EXPORT_BATCH_SIZE);
+    messages.reverse();
+
+    const title = conversationType === 'dms' ?
+        `Direct messages between ${Object.values(conversation.get('memberNames') || {}).join(' and ')}` :
+        `# ${conversation.get('name') || conversationId}`;
+    const content = exportFormat.build(messages, title);
+    const fileName = `${conversationType}-${conversationId}.${exportFormat.extension}`;
+    functions.logger.log('Exported', messages.length, 'messages of', conversation.ref.path, 'as', format);
+
+    if (Buffer.byteLength(content) <= MAX_INLINE_EXPORT_SIZE) {
+      return {fileName, contentType: exportFormat.contentType, content, messageCount: messages.length};
+    }
+
+    // Each user has one export per conversation and format, replaced by their next export.
+    const bucket = admin.storage().bucket();
+    const filePath = `exports/${context.auth.uid}/${fileName}`;
+    const token = crypto.randomBytes(16).toString('hex');
+    await bucket.file(filePath).save(content, {
+      metadata: {
+        contentType: exportFormat.contentType,
+        contentDisposition: `attachment; filename="${fileName}"`,
+        metadata: {firebaseStorageDownloadTokens: token},
+      },
     });
+    return {fileName, url: getDownloadUrl(bucket, filePath, token), messageCount: messages.length};
+  });
+
+// Number of messages written at a time by importMessages.
+const IMPORT_BATCH_SIZE = 400;
 
-    if (tokens.length > 0) {
-      // Send notifications to all tokens.
-      const response = await admin.messaging().sendToDevice(tokens, payload);
-      await cleanupTokens(response, tokens);
-      functions.logger.log('Notifications have been sent and tokens cleaned up.');
+// Imports a chat history dump into a conversation, for admins. The dump is either a legacy Realtime Database
+// dump like `initial_messages.json` or a JSON export of exportMessages. Messages keep their order through
+// their timestamps, are flagged as `imported`, and get IDs derived from the dump so importing it again skips
+// them. They are written in batches, and the progress is reported in `imports/{importId}`, which clients
+// can pick the ID of to listen to it during the import.
+exports.importMessages = functions.runWith({memory: '1GB', timeoutSeconds: 540}).https.onCall(
+  async (data, context) => {
+    if (!context.auth || context.auth.token.role !== 'admin') {
+      throw new functions.https.HttpsError('permission-denied', 'Only admins can import messages.');
+    }
+    const {conversationType, conversationId, importId, dump} = data || {};
+    const format = getImportFormat(dump);
+    if (!['channels', 'dms'].includes(conversationType) || typeof conversationId !== 'string' || !format) {
+      throw new functions.https.HttpsError('invalid-argument',
+          'Give a conversation and a Realtime Database dump or a JSON export of messages.');
+    }
+
+    const conversationRef = admin.firestore().collection(conversationType).doc(conversationId);
+    if (!(await conversationRef.get()).exists) {
+      throw new functions.https.HttpsError('not-found', 'The conversation does not exist.');
+    }
+
+    const importedMessages = readImportedMessages(dump);
+    const importRef = typeof importId === 'string' && importId ?
+        admin.firestore().collection('imports').doc(importId) : admin.firestore().collection('imports').doc();
+    const progress = {
+      conversationType,
+      conversationId,
+      format,
+      adminUid: context.auth.uid,
+      total: importedMessages.length,
+      imported: 0,
+      skipped: 0,
+      status: 'running',
+      startedAt: admin.firestore.FieldValue.serverTimestamp(),
+    };
+    await importRef.set(progress);
+
+    try {
+      for (let start = 0; start < importedMessages.length; start += IMPORT_BATCH_SIZE) {
+        // Batches are written one after the other so the progress is reported in order.
+        // eslint-disable-next-line no-await-in-loop
+        await importMessageBatch(conversationRef, importRef,
+            importedMessages.slice(start, start + IMPORT_BATCH_SIZE), progress);
+      }
+    } catch (error) {
+      await importRef.update({status: 'failed', error: error.message,
+        finishedAt: admin.firestore.FieldValue.serverTimestamp()});
+      throw new functions.https.HttpsError('internal', `The import failed after ${progress.imported} messages.`);
+    }
+
+    await importRef.update({status: 'done', finishedAt: admin.firestore.FieldValue.serverTimestamp()});
+    functions.logger.log('Imported', progress.imported, 'messages into', conversationRef.path, 'and skipped',
+        progress.skipped, 'already imported ones.');
+    return {importId: importRef.id, total: progress.total, imported: progress.imported, skipped: progress.skipped};
+  });
+
+// Writes the given imported messages into the given conversation, in a single batch that also records the
+// progress of the import.
+async function importMessageBatch(conversationRef, importRef, chunk, progress) {
+  const messageRefs = chunk.map(({id}) => conversationRef.collection('messages').doc(id));
+  // Messages already imported, even if they were edited or trashed since, are left as they are.
+  const existingDocs = await admin.firestore().getAll(...messageRefs);
+
+  const batch = admin.firestore().batch();
+  let importedCount = 0;
+  chunk.forEach(({message}, index) => {
+    if (!existingDocs[index].exists) {
+      batch.set(messageRefs[index], Object.assign({}, message, {
+        timestamp: admin.firestore.Timestamp.fromMillis(message.timestamp),
+        imported: true,
+      }));
+      importedCount++;
+    }
+  });
+  batch.update(importRef, {
+    imported: progress.imported + importedCount,
+    skipped: progress.skipped + chunk.length - importedCount,
+  });
+  await batch.commit();
+  progress.imported += importedCount;
+  progress.skipped += chunk.length - importedCount;
+}
+
+// The roles a user can have, stored in the `role` custom claim of their ID token.
+const ROLES = ['admin', 'moderator', 'member'];
+
+// Sets the role of a user. Only admins can call it, except to make the first admin: the user with the email
+// of the BOOTSTRAP_ADMIN_EMAIL environment variable can give themselves the admin role.
+// The role is also copied to the user profile so clients know when to refresh their ID token.
+exports.setUserRole = functions.https.onCall(async (data, context) => {
+  if (!context.auth) {
+    throw new functions.https.HttpsError('unauthenticated', 'You must be signed in to change roles.');
+  }
+  const uid = data && data.uid;
+  const role = data && data.role;
+  if (typeof uid !== 'string' || !ROLES.includes(role)) {
+    throw new functions.https.HttpsError('invalid-argument', `The role must be one of ${ROLES.join(', ')}.`);
+  }
+
+  const isAdmin = context.auth.token.role === 'admin';
+  const isBootstrapAdmin = Boolean(process.env.BOOTSTRAP_ADMIN_EMAIL) &&
+      context.auth.token.email === process.env.BOOTSTRAP_ADMIN_EMAIL &&
+      context.auth.token.email_verified === true && uid === context.auth.uid;
+  if (!isAdmin && !isBootstrapAdmin) {
+    throw new functions.https.HttpsError('permission-denied', 'Only admins can change roles.');
+  }
+
+  const user = await admin.auth().getUser(uid);
+  await admin.auth().setCustomUserClaims(uid, Object.assign({}, user.customClaims, {role}));
+  await admin.firestore().collection('users').doc(uid).set({role}, {merge: true});
+  functions.logger.log('User', uid, 'is now', role, 'set by', context.auth.uid);
+  return {uid, role};
+});
+
+// Mirrors the presence status that clients keep in the Realtime Database to the user
+// profile in Cloud Firestore. A user is online while at least one of their tabs is connected.
+exports.updateUserPresence = functions.database.ref('/status/{uid}').onWrite(
+  async (change, context) => {
+    // Re-read the status as executions may not run in the order of the writes.
+    const statusSnapshot = await change.after.ref.once('value');
+    const status = statusSnapshot.val() || {};
+    const online = Boolean(status.connections) && Object.keys(status.connections).length > 0;
+
+    await admin.firestore().collection('users').doc(context.params.uid).set({
+      online: online,
+      lastSeen: status.lastChanged ?
+          admin.firestore.Timestamp.fromMillis(status.lastChanged) :
+          admin.firestore.FieldValue.serverTimestamp(),
+    }, {merge: true});
+    functions.logger.log('User', context.params.uid, 'is now', online ? 'online.' : 'offline.');
+  });
+
+// Splits the given text in the lowercase words, without diacritics, used as search tokens.
+// Must match the tokenizer of the clients.
+function getSearchTokens(text) {
+  const words = (text || '').normalize('NFD').replace(/[\u0300-\u036f]/g, '').toLowerCase().split(/[^a-z0-9]+/);
+  return Array.from(new Set(words.filter(Boolean)));
+}
+
+// Maximum number of values of a Firestore `in` query.
+const FCM_TOKEN_QUERY_SIZE = 10;
+
+// Sends a notification about the given message to the devices of the given users.
+// The notification title defaults to a description of the message and the messaging options, like the priority, are optional.
+async function sendMessageNotifications(message, uids, title, options) {
+  // Notification details. Notifications may be sent before moderateMessages runs, so offensive text is masked here too.
+  const text = message.text ? await getNotificationText(message.text) : message.text;
+  const payload = {
+    notification: {
+      title: title || `${message.name} posted ${describeMessage(message)}`,
+      body: text ? (text.length <= 100 ? text : text.substring(0, 97) + '...') : '',
+      icon: message.profilePicUrl || '/images/profile_placeholder.png',
+      click_action: `https://${process.env.GCLOUD_PROJECT}.firebaseapp.com`,
+    }
+  };
+
+  // Get the list of device tokens of the given users, querying them by chunks of the size `in` queries allow.
+  const uniqueUids = Array.from(new Set(uids));
+  const tokenQueries = [];
+  for (let start = 0; start < uniqueUids.length; start += FCM_TOKEN_QUERY_SIZE) {
+    const chunk = uniqueUids.slice(start, start + FCM_TOKEN_QUERY_SIZE);
+    tokenQueries.push(admin.firestore().collection('fcmTokens').where('uid', 'in', chunk).get());
+  }
+  const tokens = [];
+  (await Promise.all(tokenQueries)).forEach((tokenSnapshot) => {
+    tokenSnapshot.forEach((tokenDoc) => tokens.push(tokenDoc.id));
+  });
+
+  if (tokens.length > 0) {
+    // Send notifications to all tokens.
+    const response = await admin.messaging().sendToDevice(tokens, payload, options);
+    await cleanupTokens(response, tokens);
+    functions.logger.log('Notifications have been sent and tokens cleaned up.');
+  }
+}
+
+// Returns the given message text as it will be once moderated.
+async function getNotificationText(text) {
+  const config = await getModerationConfig();
+  const matches = await detectOffensiveText(text, config);
+  if (matches.length === 0 || config.action === 'flag') {
+    return text;
+  }
+  return config.action === 'hide' ? 'This message was hidden by moderation' : maskText(text, matches);
+}
+
+// Returns what kind of message the given message is, e.g. "a message" or "an image".
+function describeMessage(message) {
+  if (message.text) {
+    return 'a message';
+  }
+  if (message.audioUrl) {
+    return 'a voice message';
+  }
+  return message.fileUrl ? 'a file' : 'an image';
+}
+
+// Deletes the Storage files of the given message, stored under `{uid}/{messageId}/`, and resolves with
+// how many files were deleted. The folder is never read from the message, whose `storageUri` is written
+// by clients.
+async function deleteMessageStorageFiles(message, messageId) {
+  if (!message.uid) {
+    return 0;
+  }
+
+  const prefix = `${message.uid}/${messageId}/`;
+  const [files] = await admin.storage().bucket().getFiles({prefix});
+  await Promise.all(files.map((file) => file.delete()));
+  return files.length;
+}
+
+// Returns true if the given update of a message is a new moderation of it, made by moderateMessages or by
+// a moderator, rather than an edit of its author.
+function isNewModeration(before, after) {
+  const moderatedAt = after.moderation && after.moderation.moderatedAt;
+  return Boolean(moderatedAt) &&
+      !(before.moderation && before.moderation.moderatedAt && before.moderation.moderatedAt.isEqual(moderatedAt));
+}
+
+// Fields of a message kept in the snapshot of its audit entries.
+const AUDIT_SNAPSHOT_FIELDS = ['name', 'uid', 'text', 'imageUrl', 'fileUrl', 'fileName', 'audioUrl',
+  'profilePicUrl', 'timestamp', 'favorite'];
+
+// Names of the actors of the audit entries written by Cloud Functions on their own, by action.
+// Messages are only deleted without going through the trash by the retention policy.
+const SYSTEM_ACTOR_NAMES = {
+  purge: 'Trash purge',
+  delete: 'Retention policy',
+};
+
+// Appends an entry to the `auditLog` collection, which clients can't write, recording that the given user,
+// or Cloud Functions when null, trashed, restored, purged, deleted, blurred, hid, masked, flagged or edited
+// the given message. The given message data is the content the message had before the action.
+// Thread replies are recorded with the ID of the message they reply to and their own `replyId`.
+async function recordAuditEntry(action, actorUid, messageRef, message) {
+  let actorName = SYSTEM_ACTOR_NAMES[action] || 'Automatic moderation';
+  if (actorUid) {
+    const actor = await admin.firestore().collection('users').doc(actorUid).get();
+    actorName = actor.get('name') || 'Unknown user';
+  }
+
+  const snapshot = {};
+  AUDIT_SNAPSHOT_FIELDS.forEach((field) => {
+    if (message[field] !== undefined) {
+      snapshot[field] = message[field];
     }
   });
 
+  const isReply = messageRef.parent.id === 'replies';
+  const parentMessageRef = isReply ? messageRef.parent.parent : messageRef;
+  const conversationRef = parentMessageRef.parent.parent;
+  const entry = {
+    action,
+    actorUid,
+    actorName,
+    conversationType: conversationRef.parent.id,
+    conversationId: conversationRef.id,
+    messageId: parentMessageRef.id,
+    snapshot,
+    createdAt: admin.firestore.FieldValue.serverTimestamp(),
+  };
+  if (isReply) {
+    entry.replyId = messageRef.id;
+  }
+  await admin.firestore().collection('auditLog').add(entry);
+  functions.logger.log('Audit entry', action, 'recorded for message', messageRef.id);
+}
+
 // Cleans up the tokens that are no longer valid.
 function cleanupTokens(response, tokens) {
   // For each notification we check if there was an error.
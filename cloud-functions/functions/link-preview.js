@@ -0,0 +1,229 @@
+/**
+ * Copyright 2017 Google Inc. All Rights Reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *      http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+// Link preview fetchers. A fetcher is a function that takes a URL and resolves with its preview,
+// `{url, title, description, imageUrl}`, or with null when the page has nothing to preview.
+
+const dns = require('dns');
+const http = require('http');
+const https = require('https');
+const net = require('net');
+const {URL} = require('url');
+
+// Limits of the pages fetched by the Open Graph fetcher. The timeout is the longest time without data
+// from the server, and the deadline the longest time to fetch a page, redirects included.
+const FETCH_TIMEOUT_MS = 5000;
+const FETCH_DEADLINE_MS = 10000;
+const MAX_PAGE_SIZE = 512 * 1024;
+const MAX_REDIRECTS = 3;
+
+// Maximum length of the title and the description of a preview.
+const MAX_TITLE_LENGTH = 200;
+const MAX_DESCRIPTION_LENGTH = 300;
+
+// Fetches the given URL and builds its preview from its Open Graph tags, falling back to its
+// title and description meta tags.
+async function fetchOpenGraphPreview(url) {
+  const page = await fetchPage(url, MAX_REDIRECTS, Date.now() + FETCH_DEADLINE_MS);
+  if (!page) {
+    return null;
+  }
+  return parseOpenGraphPreview(page.html, page.url);
+}
+
+// Resolves with the HTML and the final URL of the given page, following redirects, or with null
+// if it isn't an HTML page. Only public hosts are fetched, on every redirect, so messages can't make
+// the function reach its own network, and the fetch fails once the given deadline is over.
+function fetchPage(url, redirectsLeft, deadline) {
+  const {protocol, hostname} = new URL(url);
+  const host = hostname.replace(/^\[|\]$/g, '');
+  if (!isHttpUrl(url) || net.isIP(host) && !isPublicAddress(host)) {
+    return Promise.resolve(null);
+  }
+
+  return new Promise((resolve, reject) => {
+    const client = protocol === 'http:' ? http : https;
+    const request = client.get(url, {
+      timeout: FETCH_TIMEOUT_MS,
+      lookup: lookupPublicAddress,
+      headers: {'User-Agent': 'FriendlyChatLinkPreview/1.0', 'Accept': 'text/html'},
+    }, (response) => {
+      const location = response.headers.location;
+      if (response.statusCode >= 300 && response.statusCode < 400 && location) {
+        response.resume();
+        clearTimeout(deadlineTimer);
+        if (redirectsLeft === 0) {
+          resolve(null);
+          return;
+        }
+        resolve(fetchPage(new URL(location, url).href, redirectsLeft - 1, deadline));
+        return;
+      }
+      if (response.statusCode !== 200 || !/text\/html/.test(response.headers['content-type'] || '')) {
+        response.resume();
+        resolve(null);
+        return;
+      }
+
+      // Only the beginning of the page is needed to find its meta tags.
+      let html = '';
+      response.setEncoding('utf8');
+      response.on('data', (chunk) => {
+        html += chunk;
+        if (html.length > MAX_PAGE_SIZE) {
+          response.destroy();
+          resolve({html, url});
+        }
+      });
+      response.on('end', () => resolve({html, url}));
+      response.on('error', reject);
+    });
+    const deadlineTimer = setTimeout(() => {
+      request.destroy();
+      reject(new Error(`Deadline exceeded fetching ${url}`));
+    }, Math.max(deadline - Date.now(), 0));
+    request.on('close', () => clearTimeout(deadlineTimer));
+    request.on('timeout', () => request.destroy(new Error(`Timeout fetching ${url}`)));
+    request.on('error', reject);
+  });
+}
+
+// Resolves the given host name like dns.lookup, failing if it has a non-public address. Used as the lookup
+// of the requests, so the checked address is the one connected to.
+function lookupPublicAddress(hostname, options, callback) {
+  dns.lookup(hostname, options, (error, address, family) => {
+    if (error) {
+      callback(error);
+      return;
+    }
+    const addresses = Array.isArray(address) ? address.map((entry) => entry.address) : [address];
+    if (addresses.length === 0 || !addresses.every(isPublicAddress)) {
+      callback(new Error(`${hostname} does not resolve to a public address`));
+      return;
+    }
+    callback(null, address, family);
+  });
+}
+
+// Returns true if the given IP address is a public one. Loopback, private, link-local, like the metadata
+// server at 169.254.169.254, shared, multicast and reserved addresses are not.
+function isPublicAddress(address) {
+  const mappedIpv4 = address.match(/^::ffff:(\d+\.\d+\.\d+\.\d+)$/i);
+  if (mappedIpv4) {
+    return isPublicAddress(mappedIpv4[1]);
+  }
+  const hexMappedIpv4 = address.match(/^::ffff:([0-9a-f]{1,4}):([0-9a-f]{1,4})$/i);
+  if (hexMappedIpv4) {
+    const high = parseInt(hexMappedIpv4[1], 16);
+    const low = parseInt(hexMappedIpv4[2], 16);
+    return isPublicAddress(`${high >> 8}.${high & 255}.${low >> 8}.${low & 255}`);
+  }
+
+  if (net.isIPv4(address)) {
+    const [a, b] = address.split('.').map(Number);
+    return !(a === 0 || a === 10 || a === 127 || a >= 224 ||
+        a === 100 && b >= 64 && b < 128 ||
+        a === 169 && b === 254 ||
+        a === 172 && b >= 16 && b < 32 ||
+        a === 192 && (b === 0 || b === 168) ||
+        a === 198 && (b === 18 || b === 19));
+  }
+  if (net.isIPv6(address)) {
+    const normalizedAddress = address.toLowerCase();
+    return !(normalizedAddress === '::' || normalizedAddress === '::1' ||
+        /^f[cd]/.test(normalizedAddress) || /^fe[89ab]/.test(normalizedAddress) || /^ff/.test(normalizedAddress));
+  }
+  return false;
+}
+
+// Builds the preview of the page at the given URL from its HTML.
+function parseOpenGraphPreview(html, url) {
+  const meta = {};
+  const metaTags = html.match(/<meta\s[^>]*>/gi) || [];
+  metaTags.forEach((tag) => {
+    const key = getAttribute(tag, 'property') || getAttribute(tag, 'name');
+    const content = getAttribute(tag, 'content');
+    if (key && content && !(key.toLowerCase() in meta)) {
+      meta[key.toLowerCase()] = decodeEntities(content);
+    }
+  });
+  const titleMatch = html.match(/<title[^>]*>([^<]*)<\/title>/i);
+
+  const title = meta['og:title'] || meta['twitter:title'] || (titleMatch ? decodeEntities(titleMatch[1]) : '');
+  const description = meta['og:description'] || meta['twitter:description'] || meta['description'] || '';
+  const image = meta['og:image'] || meta['twitter:image'];
+  if (!title.trim() && !description.trim()) {
+    return null;
+  }
+
+  return {
+    url: meta['og:url'] && isHttpUrl(meta['og:url']) ? meta['og:url'] : url,
+    title: title.trim().substring(0, MAX_TITLE_LENGTH),
+    description: description.trim().substring(0, MAX_DESCRIPTION_LENGTH),
+    imageUrl: image ? resolveHttpUrl(image, url) : null,
+  };
+}
+
+// Resolves the given URL against the URL of its page, or returns null if it isn't an HTTP or HTTPS URL.
+function resolveHttpUrl(relativeUrl, baseUrl) {
+  try {
+    const url = new URL(relativeUrl, baseUrl).href;
+    return isHttpUrl(url) ? url : null;
+  } catch (error) {
+    return null;
+  }
+}
+
+// Returns the value of the given attribute of the given HTML tag.
+function getAttribute(tag, name) {
+  const match = tag.match(new RegExp(`\\s${name}\\s*=\\s*(?:"([^"]*)"|'([^']*)')`, 'i'));
+  return match ? match[1] || match[2] : null;
+}
+
+// Decodes the most common HTML entities.
+function decodeEntities(text) {
+  return text.replace(/&quot;/g, '"').replace(/&#39;|&#x27;/g, '\'').replace(/&lt;/g, '<')
+      .replace(/&gt;/g, '>').replace(/&amp;/g, '&');
+}
+
+// Returns true if the given URL is an HTTP or HTTPS URL.
+function isHttpUrl(url) {
+  return /^https?:\/\//i.test(url);
+}
+
+// Returns a fetcher that never goes to the network, to test link previews offline. It resolves with
+// the given previews, keyed by URL, and with a preview made of the host name for any other URL.
+function createStubFetcher(previews) {
+  return async (url) => {
+    if (previews && url in previews) {
+      return previews[url];
+    }
+    return {url, title: new URL(url).hostname, description: '', imageUrl: null};
+  };
+}
+
+// Returns the fetcher picked by the LINK_PREVIEW_FETCHER environment variable:
+// `stub` for the offline fetcher, the Open Graph fetcher otherwise.
+function getLinkPreviewFetcher() {
+  return process.env.LINK_PREVIEW_FETCHER === 'stub' ? createStubFetcher() : fetchOpenGraphPreview;
+}
+
+module.exports = {
+  fetchOpenGraphPreview,
+  parseOpenGraphPreview,
+  createStubFetcher,
+  getLinkPreviewFetcher,
+};
@@ -0,0 +1,95 @@
+/**
+ * Copyright 2017 Google Inc. All Rights Reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *      http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+// Text moderation engines. An engine is a function that takes a text and the moderation configuration
+// saved by admins, and resolves with the offensive parts of the text as `[{index, length}]`.
+
+// Returns the parts of the given text matching the word list or the pattern rules of the given
+// configuration: `{words: ['...'], patterns: ['...']}`. Words match whole words, ignoring case and
+// diacritics, and patterns are case insensitive regular expressions.
+async function detectWithRules(text, config) {
+  const matches = [];
+  const normalizedText = normalize(text);
+
+  (config.words || []).forEach((word) => {
+    const normalizedWord = normalize(word).trim();
+    if (!normalizedWord) {
+      return;
+    }
+    const wordRegExp = new RegExp(`(^|[^a-z0-9])(${escapeRegExp(normalizedWord)})(?=$|[^a-z0-9])`, 'g');
+    let match;
+    while ((match = wordRegExp.exec(normalizedText)) !== null) {
+      matches.push({index: match.index + match[1].length, length: match[2].length});
+    }
+  });
+
+  (config.patterns || []).forEach((pattern) => {
+    let patternRegExp;
+    try {
+      patternRegExp = new RegExp(pattern, 'gi');
+    } catch (error) {
+      // An invalid pattern saved by an admin shouldn't stop the other rules.
+      return;
+    }
+    let match;
+    while ((match = patternRegExp.exec(text)) !== null) {
+      if (match[0].length === 0) {
+        patternRegExp.lastIndex++;
+      } else {
+        matches.push({index: match.index, length: match[0].length});
+      }
+    }
+  });
+
+  return matches.sort((a, b) => a.index - b.index);
+}
+
+// Lowercases the given text and removes its diacritics, keeping its length so match positions
+// can be used on the original text.
+function normalize(text) {
+  return text.split('').map((char) => char.toLowerCase().normalize('NFD')[0]).join('');
+}
+
+// Escapes the characters of the given text that have a meaning in regular expressions.
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+// Replaces the given parts of the given text with asterisks.
+function maskText(text, matches) {
+  const chars = text.split('');
+  matches.forEach(({index, length}) => {
+    for (let i = index; i < index + length && i < chars.length; i++) {
+      if (chars[i].trim()) {
+        chars[i] = '*';
+      }
+    }
+  });
+  return chars.join('');
+}
+
+// Returns the engine picked by the TEXT_MODERATION_ENGINE environment variable. Only the local
+// rule-based engine, `rules`, is available for now, and it doesn't need any Cloud API.
+function getTextModerationEngine() {
+  const engines = {rules: detectWithRules};
+  return engines[process.env.TEXT_MODERATION_ENGINE] || detectWithRules;
+}
+
+module.exports = {
+  detectWithRules,
+  maskText,
+  getTextModerationEngine,
+};
@@ -32,6 +32,7 @@ import {
   where,
   orderBy,
   startAfter,
+  startAt,
   limit,
   onSnapshot,
   setDoc,
@@ -41,16 +42,35 @@ import {
   deleteDoc,
   getDocs,
   serverTimestamp,
+  arrayUnion,
+  runTransaction,
+  deleteField,
+  FieldPath,
+  Timestamp,
+  writeBatch,
+  increment,
 } from 'firebase/firestore';
 import {
   getStorage,
   ref,
-  deleteObject,
   uploadBytesResumable,
   getDownloadURL,
 } from 'firebase/storage';
+import {
+  getDatabase,
+  ref as databaseRef,
+  child,
+  push,
+  set,
+  onValue,
+  onDisconnect,
+  serverTimestamp as databaseServerTimestamp,
+} from 'firebase/database';
 import { getMessaging, getToken, onMessage } from 'firebase/messaging';
 import { getPerformance } from 'firebase/performance';
+import { getFunctions, httpsCallable } from 'firebase/functions';
+import { marked } from 'marked';
+import DOMPurify from 'dompurify';
 
 import { getFirebaseConfig } from './firebase-config.js';
 
@@ -67,7 +87,9 @@ async function signInFacebook() {
 }
 
 // Signs-out of Friendly Chat.
-function signOutUser() {
+async function signOutUser() {
+  // Mark the user offline while still allowed to write the presence status.
+  await stopPresence();
   // Sign out of Firebase.
   signOut(getAuth());
 }
@@ -93,251 +115,1665 @@ function isUserSignedIn() {
   return !!getAuth().currentUser;
 }
 
-// Saves a new message to Cloud Firestore.
-async function saveMessage(messageText) {
-  // Add a new message entry to the Firebase database.
+// The channel every user joins when signing in. It is created by the addWelcomeMessages Cloud Function.
+const DEFAULT_CHANNEL_ID = 'general';
+
+// The conversation whose messages are displayed in the chat. It is either a
+// channel ('channels' collection) or a direct message thread ('dms' collection).
+let currentConversation = { collection: 'channels', id: DEFAULT_CHANNEL_ID };
+
+// Functions that stop listening to the messages of the current conversation,
+// to the channel list and to the direct message list.
+let unsubscribeMessages = null;
+let unsubscribeChannels = null;
+let unsubscribeDirectMessages = null;
+
+// Returns the messages collection of the current conversation.
+function getMessagesCollection() {
+  return collection(getFirestore(), currentConversation.collection, currentConversation.id, 'messages');
+}
+
+// Returns the reference of the given message of the current conversation.
+function getMessageRef(messageId) {
+  return doc(getFirestore(), currentConversation.collection, currentConversation.id, 'messages', messageId);
+}
+
+// Returns the Storage custom metadata identifying the current conversation.
+function getConversationMetadata() {
+  if (currentConversation.collection === 'dms') {
+    return { dmId: currentConversation.id };
+  }
+  return { channelId: currentConversation.id };
+}
+
+// Resolves with the given channel once it exists. The default channel is created by the addWelcomeMessages
+// Cloud Function, which may still be running when a new user signs in for the first time.
+function waitForChannel(channelRef) {
+  return new Promise(function(resolve, reject) {
+    const unsubscribe = onSnapshot(channelRef, function(channelSnap) {
+      if (channelSnap.exists()) {
+        unsubscribe();
+        resolve(channelSnap);
+      }
+    }, reject);
+  });
+}
+
+// Adds the signed-in user to the members of the given channel.
+async function joinChannel(channelId) {
+  const uid = getAuth().currentUser.uid;
+  const channelRef = doc(getFirestore(), 'channels', channelId);
+
   try {
-    await addDoc(collection(getFirestore(), 'messages'), {
-      name: getUserName(),
-      text: messageText,
-      profilePicUrl: getProfilePicUrl(),
-      timestamp: serverTimestamp(),
-      favorite: false
-    });
+    let channelSnap = await getDoc(channelRef);
+    if (!channelSnap.exists() && channelId === DEFAULT_CHANNEL_ID) {
+      channelSnap = await waitForChannel(channelRef);
+    }
+
+    if (channelSnap.exists() && !channelSnap.data().members.includes(uid)) {
+      await updateDoc(channelRef, {
+        members: arrayUnion(uid)
+      });
+    }
   }
   catch(error) {
-    console.error('Error writing new message to Firebase Database', error);
+    console.error('Error joining channel', channelId, error);
   }
 }
 
-// Loads chat messages history and listens for upcoming ones.
-function loadMessages() {
-  const recentMessagesQuery = query(collection(getFirestore(), 'messages'), orderBy('timestamp', 'desc'), limit(3));
+// Creates a new channel, with the signed-in user as its only member, and opens it.
+async function createChannel() {
+  if (!checkSignedInWithMessage()) {
+    return;
+  }
 
-  // Start listening to the query.
-  onSnapshot(recentMessagesQuery, function(snapshot) {
-    snapshot.docChanges().forEach(function(change) {
-      if (change.type === 'removed') {
-        deleteMessage(change.doc.id);
-      } else {
-        var message = change.doc.data();
-        displayMessage(change.doc.id, message.timestamp, message.name,
-                      message.text, message.profilePicUrl, message.imageUrl, message.favorite);
-      }
+  const name = prompt('Name of the new channel:');
+  if (!name || !name.trim()) {
+    return;
+  }
+
+  try {
+    const uid = getAuth().currentUser.uid;
+    const channelRef = await addDoc(collection(getFirestore(), 'channels'), {
+      name: name.trim(),
+      archived: false,
+      members: [uid],
+      createdBy: uid,
+      createdAt: serverTimestamp()
     });
-  });
+    selectConversation('channels', channelRef.id);
+  }
+  catch(error) {
+    console.error('Error creating channel', error);
+  }
 }
 
-/*
-Este arreglo es cargado con los cinco mensajes anteriores que se
-cargan en el chat, estando estos mensajes en el arreglo desde el
-mas reciente al menos reciente
-*/
-let arrayLoadedMessages = [];
+// Renames the channel whose rename button was clicked.
+async function renameChannel(event) {
+  event.stopPropagation();
+  const channelId = event.currentTarget.dataset.channelId;
+  const channelRef = doc(getFirestore(), 'channels', channelId);
+  const channelSnap = await getDoc(channelRef);
 
-/*
-Carga 5 mensajes anteriores cronologicamente hablando, es decir, carga los
-5 mensajes anteriores al mensaje que aparece arriba del todo en el chat
-*/
-async function loadPreviousFiveMessages() {
-  /*
-  Comprueba que el usuario no este conectado, en cuyo caso el boton
-  para cargar los 5 mensajes anteriores no debe realizar dicha carga
-  */
-  if (!checkSignedInWithMessage()) {
+  const name = prompt('New name of the channel:', channelSnap.data().name);
+  if (!name || !name.trim()) {
     return;
   }
 
-  /*
-  Si no hay mensajes, no es posible mostrar 5 mensajes anteriores
-  cronologicamente hablando, por lo tanto, el flujo de ejecucion
-  de esta funcion no debe continuar
-  */
-  if (await noMessages()) {
-    alert("No hay mensajes cargados.");
-    return;
+  try {
+    await updateDoc(channelRef, { name: name.trim() });
+  }
+  catch(error) {
+    console.error('Error renaming channel', channelId, error);
   }
+}
 
-  let firstMessageChat;
+// Archives the channel whose archive button was clicked, hiding it from the channel list.
+async function archiveChannel(event) {
+  event.stopPropagation();
+  const channelId = event.currentTarget.dataset.channelId;
 
-  /*
-  Si no se cargaron 5 mensajes anteriores, se obtiene el mensaje que aparece
-  arriba del todo en el chat de los tres mensajes mas recientes, los cuales
-  son los que aparecen en el chat cuando se carga la aplicacion, y siempre
-  que no se cargan 5 mensajes anteriores
-  */
-  if (arrayLoadedMessages.length == 0) {
-    firstMessageChat = await getFirstMessage();
+  if (channelId === DEFAULT_CHANNEL_ID) {
+    alert('The default channel cannot be archived.');
+    return;
   }
 
-  /*
-  Si se cargaron 5 mensajes anteriores, se obtiene el mensaje que aparece
-  arriba del todo en el chat de los 5 mensajes cargados, los cuales aparecen
-  arriba de los tres mensajes mas recientes que aparecen en el chat siempre
-  que no se cargan 5 mensajes anteriores
-  */
-  if (arrayLoadedMessages.length > 0) {
-    firstMessageChat = arrayLoadedMessages[arrayLoadedMessages.length - 1];
+  if (!confirm('The channel will be archived and hidden from the channel list.')) {
+    return;
   }
 
-  console.log("*** Datos del mensaje de arriba del todo en el chat ***");
-  console.log("ID: " + firstMessageChat.id);
-  console.log("Nombre: " + firstMessageChat.data().name);
-  console.log("Texto: " + firstMessageChat.data().text);
-  console.log("URL de imagen: " + firstMessageChat.data().imageUrl);
-  console.log("Timestamp: " + firstMessageChat.data().timestamp);
-  console.log("");
+  try {
+    await updateDoc(doc(getFirestore(), 'channels', channelId), { archived: true });
+  }
+  catch(error) {
+    console.error('Error archiving channel', channelId, error);
+  }
+}
 
-  let arrayMessages = await getPreviousFiveMessages(firstMessageChat);
-  let currentDoc;
+// Joins, if needed, the channel that was clicked in the channel list and displays its messages.
+async function openChannel(event) {
+  const channelId = event.currentTarget.dataset.channelId;
+  await joinChannel(channelId);
+  selectConversation('channels', channelId);
+}
 
-  for (var i = 0; i < arrayMessages.length; i++) {
-    currentDoc = arrayMessages[i];
+// Displays the messages of the given conversation instead of the ones of the
+// current conversation. The collection is either 'channels' or 'dms'.
+function selectConversation(collectionName, conversationId) {
+  if (unsubscribeMessages) {
+    unsubscribeMessages();
+  }
+  if (unsubscribeTyping) {
+    unsubscribeTyping();
+  }
+  if (unsubscribeReadReceipts) {
+    unsubscribeReadReceipts();
+  }
+  closeThread();
+  closeTrash();
+  clearTypingState();
 
-    displayMessage(currentDoc.id, currentDoc.data().timestamp, currentDoc.data().name, currentDoc.data().text, currentDoc.data().profilePicUrl, currentDoc.data().imageUrl,
-    currentDoc.data().favorite);
+  currentConversation = { collection: collectionName, id: conversationId };
+  messageListElement.innerHTML = '';
+  arrayLoadedMessages = [];
+  displayFavorites = false;
+  searchResultsElement.innerHTML = '';
 
-    arrayLoadedMessages.push(currentDoc);
+  for (const channelItem of channelListElement.children) {
+    channelItem.classList.toggle('active', isCurrentConversation('channels', channelItem.dataset.channelId));
+  }
+  for (const directMessageItem of directMessageListElement.children) {
+    directMessageItem.classList.toggle('active', isCurrentConversation('dms', directMessageItem.dataset.dmId));
   }
+  displayUnreadCounts();
 
+  loadMessages();
+  loadTypingUsers();
+  loadReadReceipts();
 }
 
-/*
-Devuelve el mensaje que aparece arriba del todo en el chat cuando en
-este se muestran unicamente los tres mensajes mas recientes, lo cual
-sucede cuando la consulta de la funcion loadMessages() tiene limit(3)
-*/
-function getFirstMessage() {
-  const threeRecentMessageQuery = query(collection(getFirestore(), 'messages'), orderBy('timestamp', 'desc'), limit(3));
-
-  return getDocs(threeRecentMessageQuery).then((querySnapshot) => {
-    return querySnapshot.docs[querySnapshot.docs.length - 1];
-  });
+// Returns true if the given conversation is the one displayed in the chat.
+function isCurrentConversation(collectionName, conversationId) {
+  return currentConversation.collection === collectionName && currentConversation.id === conversationId;
 }
 
-/*
-Retorna un arreglo con los 5 mensajes anteriores al mensaje que aparece
-arriba del todo en el chat de los tres mensajes mas recientes, ordenados
-de forma descendente, es decir, del mas reciente al menos reciente
-*/
-function getPreviousFiveMessages(firstMessageChat) {
-  const fivePreviousMessagesQuery = query(collection(getFirestore(), 'messages'), orderBy('timestamp', 'desc'), startAfter(firstMessageChat), limit(5));
+// Loads the channel list and listens for created, renamed and archived channels.
+function loadChannels() {
+  const channelsQuery = query(collection(getFirestore(), 'channels'), orderBy('name'));
 
-  return getDocs(fivePreviousMessagesQuery).then((querySnapshot) => {
-    return querySnapshot.docs;
+  unsubscribeChannels = onSnapshot(channelsQuery, function(snapshot) {
+    const uid = getAuth().currentUser.uid;
+    channelListElement.innerHTML = '';
+
+    snapshot.forEach(function(channelDoc) {
+      const channel = channelDoc.data();
+
+      // If the current channel gets archived we move back to the default channel.
+      if (channel.archived) {
+        if (isCurrentConversation('channels', channelDoc.id)) {
+          selectConversation('channels', DEFAULT_CHANNEL_ID);
+        }
+        return;
+      }
+
+      channelListElement.appendChild(createChannelItem(channelDoc.id, channel.name,
+          channel.members.includes(uid), channel.createdBy === uid || isAdmin()));
+    });
+    displayUnreadCounts();
   });
 }
 
-// Elimina todos los documentos correspondientes a los mensajes, por lo tanto, elimina todos los mensajes
-function deleteAllDocs() {
-  /*
-  Comprueba que el usuario no este conectado, en cuyo caso el boton
-  para eliminar todos los mensajes no debe realizar dicha eliminacion
-  */
-  if (!checkSignedInWithMessage()) {
-    return;
+// Creates the channel list entry of the given channel.
+// Only its creator and admins get the rename and archive buttons, and the default channel can't be archived.
+function createChannelItem(channelId, name, isMember, canManage) {
+  const channelItem = document.createElement('li');
+  channelItem.setAttribute('class', 'channel-item');
+  channelItem.setAttribute('data-channel-id', channelId);
+  channelItem.classList.toggle('active', isCurrentConversation('channels', channelId));
+  channelItem.addEventListener('click', openChannel);
+
+  const nameElement = document.createElement('span');
+  nameElement.setAttribute('class', 'channel-name');
+  nameElement.textContent = '# ' + name;
+  channelItem.appendChild(nameElement);
+
+  if (isMember && canManage) {
+    const renameButton = document.createElement('button');
+    renameButton.setAttribute('title', 'Rename channel');
+    renameButton.setAttribute('class', 'bi bi-pencil');
+    renameButton.setAttribute('data-channel-id', channelId);
+    renameButton.addEventListener('click', renameChannel);
+    channelItem.appendChild(renameButton);
+  }
+  if (isMember && canManage && channelId !== DEFAULT_CHANNEL_ID) {
+    const archiveButton = document.createElement('button');
+    archiveButton.setAttribute('title', 'Archive channel');
+    archiveButton.setAttribute('class', 'bi bi-archive');
+    archiveButton.setAttribute('data-channel-id', channelId);
+    archiveButton.addEventListener('click', archiveChannel);
+    channelItem.appendChild(archiveButton);
+  }
+  if (!isMember) {
+    channelItem.classList.add('not-member');
+    channelItem.setAttribute('title', 'Join channel');
   }
 
-  // Obtiene todos los documentos correspondientes a los mensajes
-  const messagesQuery = query(collection(getFirestore(), 'messages'));
+  return channelItem;
+}
 
-  getDocs(messagesQuery).then((querySnapshot) => {
-      querySnapshot.forEach((currentDoc) => {
-        console.log("*** Datos del documento eliminado ***")
-        console.log("ID: " + currentDoc.id);
-        console.log("Nombre: " + currentDoc.data().name);
-        console.log("Texto: " + currentDoc.data().text);
-        console.log("URL de imagen: " + currentDoc.data().imageUrl);
-        console.log("");
+// Known users, keyed by UID, with their profile and presence, and the function that stops listening to them.
+let knownUsers = {};
+let unsubscribeUsers = null;
 
-        // Elimina el mensaje de la GUI
-        deleteMessage(currentDoc.id);
-        deleteImage(currentDoc.data().imageUrl);
+// Function that stops listening to the connection state of the Realtime Database,
+// and the connection of this tab in the presence status of the signed-in user.
+let unsubscribeConnected = null;
+let presenceConnectionRef = null;
 
-        /*
-        Obtiene la referencia de un documento de la coleccion 'messages'
-        para borrar de esta, el documento correspondiente a dicha referencia,
-        logrando de esta forma borrar el mensaje correspondiente a dicho
-        documento
-        */
-        deleteDoc(doc(getFirestore(), 'messages', currentDoc.id));
-      });
-  });
+// Saves the profile of the signed-in user so other users can list and mention them.
+async function saveUserProfile() {
+  try {
+    await setDoc(doc(getFirestore(), 'users', getAuth().currentUser.uid), {
+      name: getUserName(),
+      profilePicUrl: getProfilePicUrl()
+    }, { merge: true });
+  }
+  catch(error) {
+    console.error('Error saving user profile', error);
+  }
+}
 
-  /*
-  Se vacia el arreglo arrayLoadedMessages para que se puedan cargar 5 mensajes
-  anteriores a partir de mensajes nuevos, es decir, a partir de mensajes que
-  son ingresados luego de eliminar todos los mensajes existentes
-  */
-  arrayLoadedMessages = [];
+// Marks the signed-in user online while this tab is connected. Every tab adds its own
+// connection under `/status/<uid>/connections` in the Realtime Database, removed on
+// disconnect, so the user stays online as long as one of their tabs is open.
+// The updateUserPresence Cloud Function mirrors this status to Cloud Firestore.
+function startPresence() {
+  const statusRef = databaseRef(getDatabase(), 'status/' + getAuth().currentUser.uid);
+
+  unsubscribeConnected = onValue(databaseRef(getDatabase(), '.info/connected'), async function(snapshot) {
+    if (snapshot.val() !== true) {
+      return;
+    }
+
+    presenceConnectionRef = push(child(statusRef, 'connections'));
+    try {
+      // The disconnect handlers are registered before marking the tab as connected.
+      await onDisconnect(presenceConnectionRef).remove();
+      await onDisconnect(child(statusRef, 'lastChanged')).set(databaseServerTimestamp());
+      await set(presenceConnectionRef, true);
+      await set(child(statusRef, 'lastChanged'), databaseServerTimestamp());
+    }
+    catch(error) {
+      console.error('Error publishing presence', error);
+    }
+  });
 }
 
-/*
-Elimina el mensaje en el cual sucede el evento 'click' al presionar el
-boton de eliminacion asociado a dicho mensaje
-*/
-async function deleteOneMessage(event) {
-  /*
-  Comprueba que el usuario no este conectado, en cuyo caso el boton
-  para eliminar un mensaje no debe realizar dicha eliminacion
-  */
-  if (!checkSignedInWithMessage()) {
+// Marks the signed-in user offline. Signing out applies to every tab, so all of
+// their connections are removed, not only the one of this tab.
+async function stopPresence() {
+  if (unsubscribeConnected) {
+    unsubscribeConnected();
+    unsubscribeConnected = null;
+  }
+  if (!presenceConnectionRef) {
     return;
   }
 
-  // Obtiene el acceso al boton que se presiono para eliminar un mensaje
-  const givenButton = event.target;
+  try {
+    await onDisconnect(presenceConnectionRef).cancel();
+    await set(databaseRef(getDatabase(), 'status/' + getAuth().currentUser.uid), {
+      lastChanged: databaseServerTimestamp()
+    });
+  }
+  catch(error) {
+    console.error('Error clearing presence', error);
+  }
+  presenceConnectionRef = null;
+}
 
-  console.log("ID del documento eliminado: " + givenButton.dataset.messageId);
-  console.log("")
+// Loads the known users and listens to their profile and presence changes.
+function loadUsers() {
+  unsubscribeUsers = onSnapshot(collection(getFirestore(), 'users'), function(snapshot) {
+    knownUsers = {};
+    snapshot.forEach(function(userDoc) {
+      knownUsers[userDoc.id] = userDoc.data();
+    });
 
-  const docReference = doc(getFirestore(), 'messages', givenButton.dataset.messageId);
-  const docSnap = await getDoc(docReference);
+    // The ID token only gets the new role of the signed-in user once refreshed.
+    const ownProfile = knownUsers[getAuth().currentUser.uid];
+    if (ownProfile && ownProfile.role && ownProfile.role !== (currentUserRole || 'member')) {
+      loadUserRole(true);
+    }
+    displayOnlineUsers();
+    displaySearchAuthors();
+  });
+}
 
-  // Elimina el mensaje de la GUI
-  deleteMessage(docSnap.id);
-  deleteImage(docSnap.data().imageUrl);
-  deleteDoc(doc(getFirestore(), 'messages', givenButton.dataset.messageId));
+// Displays the "who's online" list and refreshes the presence dot on the avatars of the message cards.
+function displayOnlineUsers() {
+  onlineUserListElement.innerHTML = '';
+
+  Object.keys(knownUsers).filter(function(uid) {
+    return knownUsers[uid].online;
+  }).sort(function(a, b) {
+    return (knownUsers[a].name || '').localeCompare(knownUsers[b].name || '');
+  }).forEach(function(uid) {
+    const onlineUserItem = document.createElement('li');
+    onlineUserItem.setAttribute('class', 'channel-item online-user');
+    onlineUserItem.textContent = knownUsers[uid].name || 'Anonymous';
+    onlineUserListElement.appendChild(onlineUserItem);
+  });
 
-  // El mensaje eliminado de la GUI tambien se elimina de arrayLoadedMessages
-  if (arrayLoadedMessages.length > 0) {
+  messageListElement.querySelectorAll('.message-container[data-uid]').forEach(displayAuthorPresence);
+}
 
-    for(var i = 0; i < arrayLoadedMessages.length; i++) {
+// Shows a green dot on the avatar of the given message card while its author is online,
+// and their last-seen time on hover otherwise.
+function displayAuthorPresence(div) {
+  const author = knownUsers[div.dataset.uid];
+  const picElement = div.querySelector('.pic');
 
-      if (arrayLoadedMessages[i].id == docSnap.id) {
-        arrayLoadedMessages.splice(i, 1);
-      }
+  picElement.classList.toggle('online', !!author && !!author.online);
+  if (author && !author.online && author.lastSeen) {
+    picElement.setAttribute('title', 'Last seen ' + author.lastSeen.toDate().toLocaleString());
+  } else {
+    picElement.removeAttribute('title');
+  }
+}
 
-    } // End for
+// Returns the ID of the direct message thread between the two given users.
+// Sorting the UIDs gives both users the same thread.
+function getDirectMessageId(uid, otherUid) {
+  return [uid, otherUid].sort().join('_');
+}
 
+// Opens the direct message thread with the author of the message whose name or picture was clicked.
+function onMessageAuthorClick(event) {
+  const messageElement = event.currentTarget.closest('.message-container');
+  const otherUid = messageElement.dataset.uid;
+
+  // Messages without author UID and our own messages can't start a direct message.
+  if (!messageElement.classList.contains('dm-link') || !checkSignedInWithMessage()) {
+    return;
   }
 
+  startDirectMessage(otherUid);
 }
 
-/*
-Destaca o desestaca el mensaje en el cual sucede el evento 'click' al
-presionar el boton de destacar mensaje asociado a dicho mensaje
-*/
-async function highlightMessage(event) {
-  /*
-  Comprueba que el usuario no este conectado, en cuyo caso el boton
-  para destacar un mensaje no debe realizar dicha accion
-  */
-  if (!checkSignedInWithMessage()) {
-    return;
+// Opens the direct message thread with the given user, creating it the first time.
+// The name and picture of the other user are the ones of their profile, as checked by the security rules.
+async function startDirectMessage(otherUid) {
+  const uid = getAuth().currentUser.uid;
+  const dmId = getDirectMessageId(uid, otherUid);
+  const dmRef = doc(getFirestore(), 'dms', dmId);
+
+  try {
+    const dmSnap = await getDoc(dmRef);
+
+    if (!dmSnap.exists()) {
+      const otherProfile = (await getDoc(doc(getFirestore(), 'users', otherUid))).data() || {};
+      await setDoc(dmRef, {
+        members: [uid, otherUid].sort(),
+        memberNames: { [uid]: getUserName(), [otherUid]: otherProfile.name },
+        memberPics: {
+          [uid]: getProfilePicUrl(),
+          [otherUid]: 'profilePicUrl' in otherProfile ? otherProfile.profilePicUrl : null
+        },
+        createdAt: serverTimestamp()
+      });
+    }
+    selectConversation('dms', dmId);
+  }
+  catch(error) {
+    console.error('Error starting direct message with', otherUid, error);
   }
+}
 
-  // Obtiene el acceso al boton que se presiono para destacar un mensaje
-  const givenButton = event.target;
+// Opens the direct message thread that was clicked in the direct message list.
+function openDirectMessage(event) {
+  selectConversation('dms', event.currentTarget.dataset.dmId);
+}
 
-  console.log("ID del documento destacado: " + givenButton.dataset.messageId);
-  console.log("")
+// Loads the direct message threads of the signed-in user and listens for new ones.
+function loadDirectMessages() {
+  const uid = getAuth().currentUser.uid;
+  const directMessagesQuery = query(collection(getFirestore(), 'dms'), where('members', 'array-contains', uid));
 
-  const docReference = doc(getFirestore(), 'messages', givenButton.dataset.messageId);
-  const docSnap = await getDoc(docReference);
+  unsubscribeDirectMessages = onSnapshot(directMessagesQuery, function(snapshot) {
+    directMessageListElement.innerHTML = '';
 
-  /*
-  Si el atributo favorite del mensaje es falso al momento de la pulsacion del
+    const directMessages = snapshot.docs.map(function(dmDoc) {
+      const dm = dmDoc.data();
+      const otherUid = dm.members.find((memberUid) => memberUid !== uid);
+      return { id: dmDoc.id, name: dm.memberNames[otherUid] || 'Anonymous' };
+    });
+    directMessages.sort((a, b) => a.name.localeCompare(b.name));
+
+    directMessages.forEach(function(dm) {
+      directMessageListElement.appendChild(createDirectMessageItem(dm.id, dm.name));
+    });
+    displayUnreadCounts();
+  });
+}
+
+// Creates the direct message list entry of the given thread.
+function createDirectMessageItem(dmId, otherName) {
+  const directMessageItem = document.createElement('li');
+  directMessageItem.setAttribute('class', 'channel-item');
+  directMessageItem.setAttribute('data-dm-id', dmId);
+  directMessageItem.classList.toggle('active', isCurrentConversation('dms', dmId));
+  directMessageItem.addEventListener('click', openDirectMessage);
+
+  const nameElement = document.createElement('span');
+  nameElement.setAttribute('class', 'channel-name');
+  nameElement.textContent = '@ ' + otherName;
+  directMessageItem.appendChild(nameElement);
+
+  return directMessageItem;
+}
+
+// Minimum time between two writes of the typing state of the signed-in user.
+var TYPING_THROTTLE_MS = 3000;
+
+// Time after which a typing state that wasn't refreshed is considered expired.
+var TYPING_TIMEOUT_MS = 6000;
+
+// Time of the last write of the typing state of the signed-in user, 0 when it isn't published.
+let lastTypingStateWrite = 0;
+
+// Users typing in the current conversation, keyed by UID, and the function that stops listening to them.
+let typingUsers = {};
+let unsubscribeTyping = null;
+
+// Returns the reference of the typing state of the given user in the current conversation.
+function getTypingStateRef(uid) {
+  return doc(getFirestore(), currentConversation.collection, currentConversation.id, 'typing', uid);
+}
+
+// Publishes that the signed-in user is typing in the current conversation.
+// While the user keeps typing the state is refreshed at most once every TYPING_THROTTLE_MS,
+// so there is no Firestore write on every keystroke.
+function updateTypingState() {
+  if (!isUserSignedIn()) {
+    return;
+  }
+  if (!messageInputElement.value) {
+    clearTypingState();
+    return;
+  }
+
+  const now = Date.now();
+  if (now - lastTypingStateWrite < TYPING_THROTTLE_MS) {
+    return;
+  }
+  lastTypingStateWrite = now;
+
+  setDoc(getTypingStateRef(getAuth().currentUser.uid), {
+    name: getUserName(),
+    updatedAt: serverTimestamp()
+  }).catch(function(error) {
+    console.error('Error publishing typing state', error);
+  });
+}
+
+// Removes the typing state of the signed-in user from the current conversation, if it was published.
+function clearTypingState() {
+  if (!lastTypingStateWrite || !isUserSignedIn()) {
+    return;
+  }
+  lastTypingStateWrite = 0;
+
+  deleteDoc(getTypingStateRef(getAuth().currentUser.uid)).catch(function(error) {
+    console.error('Error clearing typing state', error);
+  });
+}
+
+// Listens to the users typing in the current conversation.
+function loadTypingUsers() {
+  const uid = getAuth().currentUser.uid;
+  const typingCollection = collection(getFirestore(), currentConversation.collection, currentConversation.id, 'typing');
+
+  typingUsers = {};
+  unsubscribeTyping = onSnapshot(typingCollection, function(snapshot) {
+    typingUsers = {};
+    snapshot.forEach(function(typingDoc) {
+      if (typingDoc.id !== uid) {
+        typingUsers[typingDoc.id] = typingDoc.data();
+      }
+    });
+    displayTypingUsers();
+  });
+}
+
+// Displays "Alice and 2 others are typing…" under the message list. Typing states that
+// weren't refreshed in the last TYPING_TIMEOUT_MS are ignored, so they expire automatically.
+function displayTypingUsers() {
+  const now = Date.now();
+  const names = Object.values(typingUsers).filter(function(typingState) {
+    return typingState.updatedAt && typingState.updatedAt.toMillis() > now - TYPING_TIMEOUT_MS;
+  }).map(function(typingState) {
+    return typingState.name;
+  });
+
+  if (names.length === 0) {
+    typingIndicatorElement.textContent = '';
+  } else if (names.length === 1) {
+    typingIndicatorElement.textContent = names[0] + ' is typing…';
+  } else if (names.length === 2) {
+    typingIndicatorElement.textContent = names[0] + ' and ' + names[1] + ' are typing…';
+  } else {
+    typingIndicatorElement.textContent = names[0] + ' and ' + (names.length - 1) + ' others are typing…';
+  }
+}
+
+// Triggered when the message field changes: updates the SEND button and the typing state.
+function onMessageInputChange() {
+  toggleButton();
+  updateTypingState();
+  displayMentionSuggestions();
+  displayMessagePreview();
+}
+
+// Maximum number of users suggested when typing a mention.
+var MAX_MENTION_SUGGESTIONS = 5;
+
+// Maximum number of users mentioned in a message, also enforced by the security rules.
+var MAX_MENTIONS = 20;
+
+// Returns the partial "@name" being typed right before the caret of the message field, or null.
+function getMentionQuery() {
+  const textBeforeCaret = messageInputElement.value.substring(0, messageInputElement.selectionStart);
+  const match = textBeforeCaret.match(/(?:^|\s)@([^@\n]{0,30})$/);
+  return match ? match[1] : null;
+}
+
+// Suggests the known users whose name starts with the mention being typed in the message field.
+function displayMentionSuggestions() {
+  const mentionQuery = getMentionQuery();
+  mentionSuggestionsElement.innerHTML = '';
+
+  if (mentionQuery !== null && isUserSignedIn()) {
+    const uid = getAuth().currentUser.uid;
+    Object.keys(knownUsers).filter(function(userId) {
+      const name = knownUsers[userId].name;
+      return userId !== uid && name && name.toLowerCase().startsWith(mentionQuery.toLowerCase());
+    }).slice(0, MAX_MENTION_SUGGESTIONS).forEach(function(userId) {
+      const suggestion = document.createElement('li');
+      suggestion.setAttribute('class', 'mention-suggestion');
+      suggestion.textContent = '@' + knownUsers[userId].name;
+      // Keep the focus in the message field while picking a suggestion.
+      suggestion.addEventListener('mousedown', function(event) {
+        event.preventDefault();
+        insertMention(mentionQuery, knownUsers[userId].name);
+      });
+      mentionSuggestionsElement.appendChild(suggestion);
+    });
+  }
+
+  mentionSuggestionsElement.hidden = mentionSuggestionsElement.children.length === 0;
+}
+
+// Replaces the partial mention typed before the caret of the message field with the full name of the picked user.
+function insertMention(mentionQuery, name) {
+  const caret = messageInputElement.selectionStart;
+  const start = caret - mentionQuery.length;
+  const value = messageInputElement.value;
+  messageInputElement.value = value.substring(0, start) + name + ' ' + value.substring(caret);
+  messageInputElement.setSelectionRange(start + name.length + 1, start + name.length + 1);
+
+  mentionSuggestionsElement.hidden = true;
+  toggleButton();
+}
+
+// Returns the UIDs of the known users mentioned as "@name" in the given text.
+function getMentionedUids(text) {
+  return Object.keys(knownUsers).filter(function(userId) {
+    return knownUsers[userId].name && findMentions(text, knownUsers[userId].name).length > 0;
+  }).slice(0, MAX_MENTIONS);
+}
+
+// Returns the positions of the "@name" mentions of the given name in the given text.
+function findMentions(text, name) {
+  const positions = [];
+  const mention = '@' + name;
+  let position = text.indexOf(mention);
+  while (position !== -1) {
+    // A longer name starting with the same letters isn't a mention of this one.
+    const next = text.charAt(position + mention.length);
+    if (!next || !/[\w]/.test(next)) {
+      positions.push(position);
+    }
+    position = text.indexOf(mention, position + mention.length);
+  }
+  return positions;
+}
+
+// Fills the given element with the given Markdown text, highlighting the mentions of the given users as chips.
+function displayMessageText(messageElement, text, mentions) {
+  messageElement.innerHTML = renderMarkdown(text);
+
+  const names = {};
+  (mentions || []).forEach(function(userId) {
+    if (knownUsers[userId] && knownUsers[userId].name) {
+      names[userId] = knownUsers[userId].name;
+    }
+  });
+  if (Object.keys(names).length === 0) {
+    return;
+  }
+
+  // Mentions aren't highlighted in code and links.
+  const textNodes = [];
+  const walker = document.createTreeWalker(messageElement, NodeFilter.SHOW_TEXT);
+  while (walker.nextNode()) {
+    if (!walker.currentNode.parentNode.closest('code, a')) {
+      textNodes.push(walker.currentNode);
+    }
+  }
+  textNodes.forEach(function(textNode) {
+    const fragment = createMentionChips(textNode.nodeValue, names);
+    if (fragment) {
+      textNode.parentNode.replaceChild(fragment, textNode);
+    }
+  });
+}
+
+// Returns a fragment made of the given text with the mentions of the given names, keyed by UID,
+// turned into chips, or null if the text doesn't mention any of them.
+function createMentionChips(text, names) {
+  const chips = [];
+  Object.keys(names).forEach(function(userId) {
+    findMentions(text, names[userId]).forEach(function(position) {
+      chips.push({ start: position, end: position + names[userId].length + 1, uid: userId });
+    });
+  });
+  if (chips.length === 0) {
+    return null;
+  }
+  chips.sort(function(a, b) {
+    return a.start - b.start;
+  });
+
+  const fragment = document.createDocumentFragment();
+  let position = 0;
+  chips.forEach(function(chip) {
+    if (chip.start < position) {
+      return;
+    }
+    fragment.appendChild(document.createTextNode(text.substring(position, chip.start)));
+    const chipElement = document.createElement('span');
+    chipElement.setAttribute('class', 'mention-chip');
+    chipElement.classList.toggle('own', isUserSignedIn() && chip.uid === getAuth().currentUser.uid);
+    chipElement.textContent = text.substring(chip.start, chip.end);
+    fragment.appendChild(chipElement);
+    position = chip.end;
+  });
+  fragment.appendChild(document.createTextNode(text.substring(position)));
+  return fragment;
+}
+
+// The HTML tags and attributes the Markdown of messages can produce. Anything else, including
+// raw HTML written in a message, is removed by the sanitizer and only its text is kept.
+var MARKDOWN_SANITIZER_CONFIG = {
+  ALLOWED_TAGS: ['p', 'br', 'strong', 'em', 'del', 'code', 'pre', 'blockquote', 'ul', 'ol', 'li', 'a'],
+  ALLOWED_ATTR: ['href'],
+};
+
+marked.setOptions({
+  gfm: true,
+  breaks: true,
+  headerIds: false,
+  mangle: false,
+});
+
+// Links of messages open in a new tab, without access to this page.
+DOMPurify.addHook('afterSanitizeAttributes', function(node) {
+  if (node.tagName === 'A') {
+    node.setAttribute('target', '_blank');
+    node.setAttribute('rel', 'noopener noreferrer');
+  }
+});
+
+// Returns the sanitized HTML of the given Markdown text: bold, italic, strikethrough, inline code,
+// fenced code blocks, block quotes, lists and auto-linked URLs.
+function renderMarkdown(text) {
+  return DOMPurify.sanitize(marked.parse(text), MARKDOWN_SANITIZER_CONFIG);
+}
+
+// Shows the rendered Markdown of the message field above it, as long as it has some formatting.
+function displayMessagePreview() {
+  const html = messageInputElement.value ? renderMarkdown(messageInputElement.value) : '';
+  const hasFormatting = /<(?!\/?(p|br)\b)/.test(html);
+
+  messagePreviewElement.innerHTML = hasFormatting ? html : '';
+  messagePreviewElement.hidden = !hasFormatting;
+}
+
+// Sends the message when pressing Enter in the message field. Shift+Enter adds a line break.
+function onMessageInputKeyDown(event) {
+  if (event.key === 'Enter' && !event.shiftKey && !event.isComposing) {
+    event.preventDefault();
+    if (!submitButtonElement.disabled) {
+      messageFormElement.requestSubmit(submitButtonElement);
+    }
+  }
+}
+
+// Read positions of the members of the current conversation, keyed by UID, and the function that stops listening to them.
+let readReceipts = {};
+let unsubscribeReadReceipts = null;
+
+// True once the last read position of the signed-in user in the current conversation was
+// loaded, so it isn't overwritten before the "New messages" divider is placed.
+let readPositionLoaded = false;
+
+// Unread message counts of the signed-in user, keyed by conversation, and the function that stops listening to them.
+let unreadCounts = {};
+let unsubscribeUnreadCounts = null;
+
+// The title of the page, before the unread count gets added to it.
+var PAGE_TITLE = document.title;
+
+// Returns the key identifying the given conversation in the unread counts of a user.
+function getConversationKey(collectionName, conversationId) {
+  return collectionName + '_' + conversationId;
+}
+
+// Returns the reference of the read position of the given user in the current conversation.
+function getReadReceiptRef(uid) {
+  return doc(getFirestore(), currentConversation.collection, currentConversation.id, 'reads', uid);
+}
+
+// Returns the reference of the unread count of the signed-in user for the current conversation.
+function getUnreadCountRef() {
+  return doc(getFirestore(), 'users', getAuth().currentUser.uid, 'unread',
+      getConversationKey(currentConversation.collection, currentConversation.id));
+}
+
+// Places the "New messages" divider after the last read position of the signed-in user,
+// then listens to the read positions of the other members of the current conversation.
+async function loadReadReceipts() {
+  const uid = getAuth().currentUser.uid;
+  const conversation = currentConversation;
+  readReceipts = {};
+  readPositionLoaded = false;
+
+  try {
+    const readSnap = await getDoc(getReadReceiptRef(uid));
+    if (conversation === currentConversation && readSnap.exists() && readSnap.data().lastReadAt) {
+      // The divider sits right after the last read message and is hidden while nothing follows it.
+      const lastReadTime = readSnap.data().lastReadAt.toMillis() + 0.5;
+      const divider = document.createElement('div');
+      divider.setAttribute('class', 'new-messages-divider');
+      divider.setAttribute('timestamp', lastReadTime);
+      divider.textContent = 'New messages';
+      insertInMessageList(divider, lastReadTime);
+    }
+  }
+  catch(error) {
+    console.error('Error loading read position', error);
+  }
+  // Another conversation may have been selected in the meantime.
+  if (conversation !== currentConversation) {
+    return;
+  }
+  readPositionLoaded = true;
+  markConversationRead();
+
+  unsubscribeReadReceipts = onSnapshot(collection(getFirestore(), currentConversation.collection, currentConversation.id, 'reads'), function(snapshot) {
+    readReceipts = {};
+    snapshot.forEach(function(readDoc) {
+      readReceipts[readDoc.id] = readDoc.data();
+    });
+    displaySeenBy();
+  });
+}
+
+// Records that the signed-in user read the current conversation up to now and resets its unread count.
+// Nothing is recorded while the page is in the background.
+function markConversationRead() {
+  if (!isUserSignedIn() || !readPositionLoaded || document.visibilityState !== 'visible') {
+    return;
+  }
+
+  setDoc(getReadReceiptRef(getAuth().currentUser.uid), {
+    lastReadAt: serverTimestamp()
+  }).catch(function(error) {
+    console.error('Error saving read position', error);
+  });
+  setDoc(getUnreadCountRef(), { count: 0 }).catch(function(error) {
+    console.error('Error resetting unread count', error);
+  });
+}
+
+// Shows "Seen by N" under the most recent message of the signed-in user in the current conversation.
+function displaySeenBy() {
+  messageListElement.querySelectorAll('.seen-by').forEach(function(seenByElement) {
+    seenByElement.parentNode.removeChild(seenByElement);
+  });
+  if (!isUserSignedIn()) {
+    return;
+  }
+
+  const uid = getAuth().currentUser.uid;
+  const ownMessages = messageListElement.querySelectorAll('.message-container[data-uid="' + uid + '"]');
+  if (ownMessages.length === 0) {
+    return;
+  }
+
+  const lastOwnMessage = ownMessages[ownMessages.length - 1];
+  const messageTime = Number(lastOwnMessage.getAttribute('timestamp'));
+  const seenCount = Object.keys(readReceipts).filter(function(readerUid) {
+    const lastReadAt = readReceipts[readerUid].lastReadAt;
+    return readerUid !== uid && lastReadAt && lastReadAt.toMillis() >= messageTime;
+  }).length;
+
+  if (seenCount > 0) {
+    const seenByElement = document.createElement('div');
+    seenByElement.setAttribute('class', 'seen-by');
+    seenByElement.textContent = 'Seen by ' + seenCount;
+    lastOwnMessage.appendChild(seenByElement);
+  }
+}
+
+// Listens to the unread counts of the signed-in user, maintained by the countUnreadMessages Cloud Function.
+function loadUnreadCounts() {
+  const unreadCollection = collection(getFirestore(), 'users', getAuth().currentUser.uid, 'unread');
+
+  unsubscribeUnreadCounts = onSnapshot(unreadCollection, function(snapshot) {
+    unreadCounts = {};
+    snapshot.forEach(function(unreadDoc) {
+      unreadCounts[unreadDoc.id] = unreadDoc.data().count || 0;
+    });
+
+    // Messages counted while the conversation was on screen are already read.
+    if (unreadCounts[getConversationKey(currentConversation.collection, currentConversation.id)] > 0) {
+      markConversationRead();
+    }
+    displayUnreadCounts();
+  });
+}
+
+// Shows the unread counts next to the conversations and their total in the page title and the PWA app badge.
+function displayUnreadCounts() {
+  let total = 0;
+  Object.keys(unreadCounts).forEach(function(conversationKey) {
+    if (conversationKey !== getConversationKey(currentConversation.collection, currentConversation.id) ||
+        document.visibilityState !== 'visible') {
+      total += unreadCounts[conversationKey];
+    }
+  });
+
+  for (const channelItem of channelListElement.children) {
+    displayUnreadBadge(channelItem, unreadCounts[getConversationKey('channels', channelItem.dataset.channelId)]);
+  }
+  for (const directMessageItem of directMessageListElement.children) {
+    displayUnreadBadge(directMessageItem, unreadCounts[getConversationKey('dms', directMessageItem.dataset.dmId)]);
+  }
+
+  document.title = total > 0 ? '(' + total + ') ' + PAGE_TITLE : PAGE_TITLE;
+  if ('setAppBadge' in navigator) {
+    if (total > 0) {
+      navigator.setAppBadge(total).catch(function() {});
+    } else {
+      navigator.clearAppBadge().catch(function() {});
+    }
+  }
+}
+
+// Shows the given unread count in the badge of the given channel or direct message list entry.
+function displayUnreadBadge(item, count) {
+  let badge = item.querySelector('.unread-badge');
+  if (!badge) {
+    badge = document.createElement('span');
+    badge.setAttribute('class', 'unread-badge');
+    item.insertBefore(badge, item.children[1] || null);
+  }
+
+  badge.textContent = count > 0 ? count : '';
+  badge.hidden = !count || item.classList.contains('active');
+}
+
+// The message whose thread is displayed in the thread panel, or null when the panel is closed.
+let currentThreadMessageId = null;
+
+// Function that stops listening to the replies of the displayed thread.
+let unsubscribeThread = null;
+
+// Returns the replies collection of the given message of the current conversation.
+function getRepliesCollection(messageId) {
+  return collection(getMessageRef(messageId), 'replies');
+}
+
+// Opens the thread panel with the replies of the message whose reply button or thread summary was clicked.
+function openThread(event) {
+  if (!checkSignedInWithMessage()) {
+    return;
+  }
+
+  const messageId = event.currentTarget.dataset.messageId;
+  closeThread();
+  closeReportQueue();
+  closeAuditLog();
+  closeTrash();
+  currentThreadMessageId = messageId;
+
+  // Shows the replied message on top of the thread.
+  const messageElement = document.getElementById(messageId);
+  threadParentElement.textContent = messageElement.querySelector('.message').textContent || '(image)';
+
+  threadCardElement.removeAttribute('hidden');
+  displayMessagesCardWidth();
+
+  const repliesQuery = query(getRepliesCollection(messageId), orderBy('timestamp'));
+  unsubscribeThread = onSnapshot(repliesQuery, function(snapshot) {
+    snapshot.docChanges().forEach(function(change) {
+      if (change.type === 'removed') {
+        deleteMessage('reply-' + change.doc.id);
+      } else {
+        displayReply(change.doc.id, change.doc.data(), change.newIndex);
+      }
+    });
+  });
+}
+
+// Closes the thread panel and stops listening to its replies.
+function closeThread() {
+  if (unsubscribeThread) {
+    unsubscribeThread();
+    unsubscribeThread = null;
+  }
+
+  currentThreadMessageId = null;
+  threadRepliesElement.innerHTML = '';
+  threadCardElement.setAttribute('hidden', 'true');
+  displayMessagesCardWidth();
+}
+
+// Narrows the messages card while a side panel is open next to it: the thread, the reported messages,
+// the audit log or the trash.
+function displayMessagesCardWidth() {
+  const sidePanelOpen = !threadCardElement.hidden || !reportsCardElement.hidden || !auditCardElement.hidden ||
+      !trashCardElement.hidden;
+  messagesCardElement.classList.toggle('mdl-cell--9-col-desktop', !sidePanelOpen);
+  messagesCardElement.classList.toggle('mdl-cell--6-col-desktop', sidePanelOpen);
+}
+
+// Displays a reply in the thread panel at the given position.
+function displayReply(id, reply, index) {
+  let div = document.getElementById('reply-' + id);
+
+  if (!div) {
+    const container = document.createElement('div');
+    container.innerHTML = MESSAGE_TEMPLATE;
+    div = container.firstChild;
+    div.setAttribute('id', 'reply-' + id);
+    div.classList.add('visible');
+    threadRepliesElement.insertBefore(div, threadRepliesElement.children[index] || null);
+  }
+
+  if (reply.profilePicUrl) {
+    div.querySelector('.pic').style.backgroundImage =
+      'url(' + addSizeToGoogleProfilePic(reply.profilePicUrl) + ')';
+  }
+  div.querySelector('.name').textContent = reply.name;
+
+  const messageElement = div.querySelector('.message');
+  displayMessageText(messageElement, reply.text);
+
+  threadRepliesElement.scrollTop = threadRepliesElement.scrollHeight;
+}
+
+// Saves a new reply in the thread displayed in the thread panel.
+async function saveReply(replyText) {
+  try {
+    await postMessage(doc(getRepliesCollection(currentThreadMessageId)), {
+      name: getUserName(),
+      uid: getAuth().currentUser.uid,
+      text: replyText,
+      profilePicUrl: getProfilePicUrl(),
+      timestamp: serverTimestamp()
+    });
+  }
+  catch(error) {
+    console.error('Error writing new reply to Firebase Database', error);
+  }
+}
+
+// Triggered when the reply form of the thread panel is submitted.
+function onReplyFormSubmit(e) {
+  e.preventDefault();
+
+  // Check that the user entered a reply and is signed in.
+  if (replyInputElement.value && currentThreadMessageId && checkSignedInWithMessage()) {
+    saveReply(replyInputElement.value).then(function () {
+      // Clear reply text field and re-enable the REPLY button.
+      resetMaterialTextfield(replyInputElement);
+      toggleReplyButton();
+    });
+  }
+}
+
+// Enables or disables the reply button depending on the value of the reply field.
+function toggleReplyButton() {
+  if (replyInputElement.value) {
+    submitReplyButtonElement.removeAttribute('disabled');
+  } else {
+    submitReplyButtonElement.setAttribute('disabled', 'true');
+  }
+}
+
+// The rate limits used when no configuration was saved by an admin: at most `maxMessages` messages
+// every `windowSeconds` seconds, and at least `slowModeSeconds` seconds between two messages.
+// Must match the defaults of firestore.rules.
+var DEFAULT_RATE_LIMIT_CONFIG = {
+  maxMessages: 5,
+  windowSeconds: 10,
+  slowModeSeconds: 0,
+};
+
+// The rate limits saved by admins in `config/rateLimits`, the last posts of the signed-in user
+// from `rateLimits/{uid}`, and the functions that stop listening to them.
+let rateLimitConfig = DEFAULT_RATE_LIMIT_CONFIG;
+let rateLimitState = null;
+let unsubscribeRateLimitConfig = null;
+let unsubscribeRateLimitState = null;
+
+// Timer refreshing the countdown of the submit button while the user is throttled.
+let rateLimitCountdownInterval = null;
+
+// Listens to the rate limits and to the last posts of the signed-in user.
+function loadRateLimits() {
+  unsubscribeRateLimitConfig = onSnapshot(doc(getFirestore(), 'config', 'rateLimits'), function(configSnap) {
+    rateLimitConfig = Object.assign({}, DEFAULT_RATE_LIMIT_CONFIG, configSnap.exists() ? configSnap.data() : {});
+    displayRateLimit();
+  });
+  unsubscribeRateLimitState = onSnapshot(getRateLimitRef(), function(stateSnap) {
+    rateLimitState = stateSnap.exists() ? stateSnap.data() : null;
+    displayRateLimit();
+  });
+}
+
+// Returns the reference of the document recording the last posts of the signed-in user.
+function getRateLimitRef() {
+  return doc(getFirestore(), 'rateLimits', getAuth().currentUser.uid);
+}
+
+// Returns how many milliseconds the signed-in user has to wait before posting again.
+function getRateLimitWait() {
+  if (!rateLimitState || !rateLimitState.lastPostAt || !rateLimitState.windowStart) {
+    return 0;
+  }
+
+  const now = Date.now();
+  const slowModeWait = rateLimitState.lastPostAt.toMillis() + rateLimitConfig.slowModeSeconds * 1000 - now;
+  const windowEnd = rateLimitState.windowStart.toMillis() + rateLimitConfig.windowSeconds * 1000;
+  const windowWait = rateLimitState.count >= rateLimitConfig.maxMessages ? windowEnd - now : 0;
+  return Math.max(0, slowModeWait, windowWait);
+}
+
+// Shows the countdown on the submit button while the signed-in user is throttled.
+function displayRateLimit() {
+  const wait = getRateLimitWait();
+  clearInterval(rateLimitCountdownInterval);
+  rateLimitCountdownInterval = null;
+
+  if (wait > 0) {
+    submitButtonElement.textContent = 'Wait ' + Math.ceil(wait / 1000) + 's';
+    rateLimitCountdownInterval = setInterval(displayRateLimit, 1000);
+  } else {
+    submitButtonElement.textContent = 'Send';
+  }
+  toggleButton();
+}
+
+// Adds the given message, or reply, with the given data, and records the post in the rate limits of the
+// signed-in user in the same batch: the security rules reject the message if the rate limits aren't respected.
+async function postMessage(messageRef, data) {
+  const batch = writeBatch(getFirestore());
+  batch.set(messageRef, data);
+
+  // A new window starts once the current one is over. The post records the ID of its message, so every
+  // message needs its own post.
+  const windowEnd = rateLimitState && rateLimitState.windowStart ?
+      rateLimitState.windowStart.toMillis() + rateLimitConfig.windowSeconds * 1000 : 0;
+  if (Date.now() >= windowEnd) {
+    batch.set(getRateLimitRef(), {
+      windowStart: serverTimestamp(),
+      count: 1,
+      lastPostAt: serverTimestamp(),
+      lastMessageId: messageRef.id
+    });
+  } else {
+    batch.update(getRateLimitRef(), {
+      count: increment(1),
+      lastPostAt: serverTimestamp(),
+      lastMessageId: messageRef.id
+    });
+  }
+
+  try {
+    await batch.commit();
+  }
+  catch(error) {
+    if (error.code === 'permission-denied' && getRateLimitWait() > 0) {
+      signInSnackbarElement.MaterialSnackbar.showSnackbar({
+        message: 'You are posting too fast, slow down',
+        timeout: 2000,
+      });
+    }
+    throw error;
+  }
+  return messageRef;
+}
+
+// Asks an admin for the minimum interval between two messages of a user, and saves it.
+async function configureSlowMode() {
+  if (!checkSignedInWithMessage()) {
+    return;
+  }
+
+  const seconds = prompt('Minimum number of seconds between two messages of a user (0 turns slow mode off):',
+      rateLimitConfig.slowModeSeconds);
+  if (seconds === null || !(Number(seconds) >= 0)) {
+    return;
+  }
+
+  try {
+    await setDoc(doc(getFirestore(), 'config', 'rateLimits'), Object.assign({}, rateLimitConfig, {
+      slowModeSeconds: Math.round(Number(seconds))
+    }));
+  }
+  catch(error) {
+    alert('Slow mode could not be changed: ' + error.message);
+  }
+}
+
+// Asks an admin how many days messages are kept, and whether favorites are kept forever, and saves
+// the retention policy applied every day by the applyRetentionPolicy Cloud Function.
+async function configureRetentionPolicy() {
+  if (!checkSignedInWithMessage()) {
+    return;
+  }
+
+  let retention = {};
+  let lastRunText = 'The retention policy has not run yet.';
+  try {
+    const [retentionSnap, runsSnapshot] = await Promise.all([
+      getDoc(doc(getFirestore(), 'config', 'retention')),
+      getDocs(query(collection(getFirestore(), 'retentionRuns'), orderBy('finishedAt', 'desc'), limit(1))),
+    ]);
+    retention = retentionSnap.data() || {};
+    if (!runsSnapshot.empty) {
+      const lastRun = runsSnapshot.docs[0].data();
+      lastRunText = 'Last run' + (lastRun.finishedAt ? ' on ' + lastRun.finishedAt.toDate().toLocaleString() : '') +
+          ': ' + lastRun.deletedMessages + ' messages and ' + lastRun.deletedFiles + ' files removed.';
+    }
+  }
+  catch(error) {
+    console.error('Error loading the retention policy', error);
+  }
+
+  const days = prompt(lastRunText + '\nDelete messages older than how many days? (0 keeps them forever)',
+      retention.maxAgeDays || 0);
+  if (days === null || !(Number(days) >= 0)) {
+    return;
+  }
+  const keepFavorites = Number(days) > 0 ? confirm('Keep favorite messages forever?') : true;
+
+  try {
+    await setDoc(doc(getFirestore(), 'config', 'retention'), {
+      maxAgeDays: Math.round(Number(days)),
+      keepFavorites: keepFavorites
+    });
+  }
+  catch(error) {
+    alert('The retention policy could not be changed: ' + error.message);
+  }
+}
+
+// Imports the chat history dump picked by an admin, a legacy Realtime Database dump like initial_messages.json
+// or a JSON export, into the current conversation with the importMessages Cloud Function. The progress of
+// the import is shown on the import button until it finishes.
+async function importMessagesFromFile() {
+  const file = importFileElement.files[0];
+  importFileElement.value = '';
+  if (!file || !checkSignedInWithMessage()) {
+    return;
+  }
+
+  let dump;
+  try {
+    dump = JSON.parse(await file.text());
+  }
+  catch(error) {
+    alert(file.name + ' is not a JSON file: ' + error.message);
+    return;
+  }
+  const conversationName = getConversationName(currentConversation.collection, currentConversation.id);
+  if (!confirm('Import the messages of ' + file.name + ' into ' + conversationName + '?')) {
+    return;
+  }
+
+  const importRef = doc(collection(getFirestore(), 'imports'));
+  const unsubscribeImport = onSnapshot(importRef, function(importSnap) {
+    const progress = importSnap.data();
+    if (progress) {
+      importProgressElement.textContent = (progress.imported + progress.skipped) + '/' + progress.total;
+      importProgressElement.hidden = false;
+    }
+  });
+  importButtonElement.setAttribute('disabled', 'true');
+  try {
+    const result = (await httpsCallable(getFunctions(), 'importMessages')({
+      conversationType: currentConversation.collection,
+      conversationId: currentConversation.id,
+      importId: importRef.id,
+      dump: dump
+    })).data;
+    alert(result.imported + ' messages imported, ' + result.skipped + ' already imported messages skipped.');
+  }
+  catch(error) {
+    alert('The messages could not be imported: ' + error.message);
+  }
+  unsubscribeImport();
+  importProgressElement.hidden = true;
+  importButtonElement.removeAttribute('disabled');
+}
+
+// Saves a new message to Cloud Firestore.
+async function saveMessage(messageText) {
+  // Add a new message entry to the Firebase database.
+  try {
+    await postMessage(doc(getMessagesCollection()), {
+      name: getUserName(),
+      uid: getAuth().currentUser.uid,
+      text: messageText,
+      mentions: getMentionedUids(messageText),
+      profilePicUrl: getProfilePicUrl(),
+      timestamp: serverTimestamp(),
+      favorite: false
+    });
+  }
+  catch(error) {
+    console.error('Error writing new message to Firebase Database', error);
+  }
+}
+
+// Loads chat messages history and listens for upcoming ones.
+function loadMessages() {
+  const recentMessagesQuery = query(getMessagesCollection(), orderBy('timestamp', 'desc'), limit(3));
+
+  // Start listening to the query.
+  unsubscribeMessages = onSnapshot(recentMessagesQuery, function(snapshot) {
+    snapshot.docChanges().forEach(function(change) {
+      if (change.type === 'removed') {
+        deleteMessage(change.doc.id);
+      } else {
+        displayMessage(change.doc.id, change.doc.data());
+      }
+    });
+
+    // Messages arriving while the conversation is on screen are read right away.
+    if (snapshot.docChanges().some((change) => change.type === 'added')) {
+      markConversationRead();
+    }
+    displaySeenBy();
+  });
+}
+
+/*
+Este arreglo es cargado con los cinco mensajes anteriores que se
+cargan en el chat, estando estos mensajes en el arreglo desde el
+mas reciente al menos reciente
+*/
+let arrayLoadedMessages = [];
+
+/*
+Carga 5 mensajes anteriores cronologicamente hablando, es decir, carga los
+5 mensajes anteriores al mensaje que aparece arriba del todo en el chat
+*/
+async function loadPreviousFiveMessages() {
+  /*
+  Comprueba que el usuario no este conectado, en cuyo caso el boton
+  para cargar los 5 mensajes anteriores no debe realizar dicha carga
+  */
+  if (!checkSignedInWithMessage()) {
+    return;
+  }
+
+  /*
+  Si no hay mensajes, no es posible mostrar 5 mensajes anteriores
+  cronologicamente hablando, por lo tanto, el flujo de ejecucion
+  de esta funcion no debe continuar
+  */
+  if (await noMessages()) {
+    alert("No hay mensajes cargados.");
+    return;
+  }
+
+  let firstMessageChat;
+
+  /*
+  Si no se cargaron 5 mensajes anteriores, se obtiene el mensaje que aparece
+  arriba del todo en el chat de los tres mensajes mas recientes, los cuales
+  son los que aparecen en el chat cuando se carga la aplicacion, y siempre
+  que no se cargan 5 mensajes anteriores
+  */
+  if (arrayLoadedMessages.length == 0) {
+    firstMessageChat = await getFirstMessage();
+  }
+
+  /*
+  Si se cargaron 5 mensajes anteriores, se obtiene el mensaje que aparece
+  arriba del todo en el chat de los 5 mensajes cargados, los cuales aparecen
+  arriba de los tres mensajes mas recientes que aparecen en el chat siempre
+  que no se cargan 5 mensajes anteriores
+  */
+  if (arrayLoadedMessages.length > 0) {
+    firstMessageChat = arrayLoadedMessages[arrayLoadedMessages.length - 1];
+  }
+
+  console.log("*** Datos del mensaje de arriba del todo en el chat ***");
+  console.log("ID: " + firstMessageChat.id);
+  console.log("Nombre: " + firstMessageChat.data().name);
+  console.log("Texto: " + firstMessageChat.data().text);
+  console.log("URL de imagen: " + firstMessageChat.data().imageUrl);
+  console.log("Timestamp: " + firstMessageChat.data().timestamp);
+  console.log("");
+
+  let arrayMessages = await getPreviousFiveMessages(firstMessageChat);
+  let currentDoc;
+
+  for (var i = 0; i < arrayMessages.length; i++) {
+    currentDoc = arrayMessages[i];
+
+    displayMessage(currentDoc.id, currentDoc.data());
+
+    arrayLoadedMessages.push(currentDoc);
+  }
+
+}
+
+/*
+Devuelve el mensaje que aparece arriba del todo en el chat cuando en
+este se muestran unicamente los tres mensajes mas recientes, lo cual
+sucede cuando la consulta de la funcion loadMessages() tiene limit(3)
+*/
+function getFirstMessage() {
+  const threeRecentMessageQuery = query(getMessagesCollection(), orderBy('timestamp', 'desc'), limit(3));
+
+  return getDocs(threeRecentMessageQuery).then((querySnapshot) => {
+    return querySnapshot.docs[querySnapshot.docs.length - 1];
+  });
+}
+
+/*
+Retorna un arreglo con los 5 mensajes anteriores al mensaje que aparece
+arriba del todo en el chat de los tres mensajes mas recientes, ordenados
+de forma descendente, es decir, del mas reciente al menos reciente
+*/
+function getPreviousFiveMessages(firstMessageChat) {
+  const fivePreviousMessagesQuery = query(getMessagesCollection(), orderBy('timestamp', 'desc'), startAfter(firstMessageChat), limit(5));
+
+  return getDocs(fivePreviousMessagesQuery).then((querySnapshot) => {
+    return querySnapshot.docs;
+  });
+}
+
+// Elimina todos los documentos correspondientes a los mensajes, por lo tanto, elimina todos los mensajes
+function deleteAllDocs() {
+  /*
+  Comprueba que el usuario no este conectado, en cuyo caso el boton
+  para eliminar todos los mensajes no debe realizar dicha eliminacion
+  */
+  if (!checkSignedInWithMessage()) {
+    return;
+  }
+
+  // Only moderators and admins can delete the messages of everybody.
+  if (!checkModeratorWithMessage()) {
+    return;
+  }
+
+  // Obtiene todos los documentos correspondientes a los mensajes
+  const messagesQuery = query(getMessagesCollection());
+
+  getDocs(messagesQuery).then((querySnapshot) => {
+      querySnapshot.forEach((currentDoc) => {
+        // Messages already in the trash keep the time they were trashed at.
+        if (currentDoc.data().trashed) {
+          return;
+        }
+
+        console.log("*** Datos del documento eliminado ***")
+        console.log("ID: " + currentDoc.id);
+        console.log("Nombre: " + currentDoc.data().name);
+        console.log("Texto: " + currentDoc.data().text);
+        console.log("URL de imagen: " + currentDoc.data().imageUrl);
+        console.log("");
+
+        // Elimina el mensaje de la GUI
+        deleteMessage(currentDoc.id);
+
+        // Moves the message to the trash, its files are kept until it is purged. The message comes back
+        // if it can't be trashed.
+        trashMessage(getMessageRef(currentDoc.id)).catch(function(error) {
+          console.error('Error moving message to the trash', currentDoc.id, error);
+          displayMessage(currentDoc.id, currentDoc.data());
+        });
+      });
+  });
+
+  /*
+  Se vacia el arreglo arrayLoadedMessages para que se puedan cargar 5 mensajes
+  anteriores a partir de mensajes nuevos, es decir, a partir de mensajes que
+  son ingresados luego de eliminar todos los mensajes existentes
+  */
+  arrayLoadedMessages = [];
+}
+
+// How long the "Undo" action is offered after a message is moved to the trash.
+var UNDO_TIMEOUT_MS = 5000;
+
+// Moves the given message to the trash, recording when and by whom. Trashed messages are hidden from the
+// conversation, and purged with their files by the purgeTrashedMessages Cloud Function after a retention window.
+async function trashMessage(messageRef) {
+  await updateDoc(messageRef, {
+    trashed: true,
+    trashedAt: serverTimestamp(),
+    trashedBy: getAuth().currentUser.uid
+  });
+}
+
+// Takes the given message out of the trash. Only its author, the user who trashed it and admins can restore it.
+async function restoreMessage(messageRef) {
+  await updateDoc(messageRef, {
+    trashed: false,
+    trashedAt: deleteField(),
+    trashedBy: deleteField(),
+    restoredBy: getAuth().currentUser.uid
+  });
+
+  // Messages older than the ones listened to come back on screen too.
+  if (isCurrentConversation(messageRef.parent.parent.parent.id, messageRef.parent.parent.id)) {
+    const messageSnap = await getDoc(messageRef);
+    displayMessage(messageSnap.id, messageSnap.data());
+  }
+}
+
+// Maximum number of trashed messages listed in the trash.
+var TRASH_LIMIT = 50;
+
+// Opens the trash of the current conversation, which lists all its trashed messages to admins and their own
+// trashed messages to the other users.
+async function openTrash() {
+  if (!checkSignedInWithMessage()) {
+    return;
+  }
+
+  closeThread();
+  closeReportQueue();
+  closeAuditLog();
+  trashCardElement.removeAttribute('hidden');
+  displayMessagesCardWidth();
+
+  const constraints = [where('trashed', '==', true)];
+  if (!isAdmin()) {
+    constraints.push(where('uid', '==', getAuth().currentUser.uid));
+  }
+  try {
+    const querySnapshot = await getDocs(query(getMessagesCollection(), ...constraints,
+        orderBy('trashedAt', 'desc'), limit(TRASH_LIMIT)));
+    displayTrashedMessages(querySnapshot.docs);
+  }
+  catch(error) {
+    console.error('Error loading the trash', error);
+  }
+}
+
+// Closes the trash.
+function closeTrash() {
+  trashCardElement.setAttribute('hidden', 'true');
+  trashListElement.innerHTML = '';
+  displayMessagesCardWidth();
+}
+
+// Lists the given trashed messages with a button to restore them.
+function displayTrashedMessages(messageDocs) {
+  trashListElement.innerHTML = '';
+
+  if (messageDocs.length === 0) {
+    const emptyItem = document.createElement('li');
+    emptyItem.setAttribute('class', 'trash-item');
+    emptyItem.textContent = 'The trash is empty';
+    trashListElement.appendChild(emptyItem);
+    return;
+  }
+
+  messageDocs.forEach(function(messageDoc) {
+    const message = messageDoc.data();
+    const trashItem = document.createElement('li');
+    trashItem.setAttribute('class', 'trash-item');
+
+    const nameElement = document.createElement('div');
+    nameElement.setAttribute('class', 'trash-item-name');
+    nameElement.textContent = message.name +
+        (message.trashedAt ? ' · deleted ' + message.trashedAt.toDate().toLocaleString() : '');
+    trashItem.appendChild(nameElement);
+
+    const textElement = document.createElement('div');
+    textElement.setAttribute('class', 'trash-item-text');
+    textElement.textContent = message.text || message.fileName || (message.audioUrl ? 'Voice message' : 'Image');
+    trashItem.appendChild(textElement);
+
+    const restoreButton = document.createElement('button');
+    restoreButton.textContent = 'Restore';
+    restoreButton.addEventListener('click', async function() {
+      try {
+        await restoreMessage(messageDoc.ref);
+        trashItem.remove();
+      }
+      catch(error) {
+        console.error('Error restoring message', messageDoc.id, error);
+        alert('The message could not be restored: ' + error.message);
+      }
+    });
+    trashItem.appendChild(restoreButton);
+
+    trashListElement.appendChild(trashItem);
+  });
+}
+
+/*
+Elimina el mensaje en el cual sucede el evento 'click' al presionar el
+boton de eliminacion asociado a dicho mensaje
+*/
+async function deleteOneMessage(event) {
+  /*
+  Comprueba que el usuario no este conectado, en cuyo caso el boton
+  para eliminar un mensaje no debe realizar dicha eliminacion
+  */
+  if (!checkSignedInWithMessage()) {
+    return;
+  }
+
+  // Obtiene el acceso al boton que se presiono para eliminar un mensaje
+  const givenButton = event.target;
+
+  console.log("ID del documento eliminado: " + givenButton.dataset.messageId);
+  console.log("")
+
+  const docReference = getMessageRef(givenButton.dataset.messageId);
+
+  // Elimina el mensaje de la GUI
+  deleteMessage(docReference.id);
+  try {
+    await trashMessage(docReference);
+  }
+  catch(error) {
+    console.error('Error moving message to the trash', docReference.id, error);
+    return;
+  }
+
+  // A misclick can be undone for a few seconds, and later from the trash.
+  var data = {
+    message: 'Message moved to the trash',
+    timeout: UNDO_TIMEOUT_MS,
+    actionText: 'Undo',
+    actionHandler: function() {
+      restoreMessage(docReference).catch(function(error) {
+        console.error('Error restoring message', docReference.id, error);
+        var data = {
+          message: 'The message could not be restored',
+          timeout: 2000,
+        };
+        signInSnackbarElement.MaterialSnackbar.showSnackbar(data);
+      });
+    },
+  };
+  signInSnackbarElement.MaterialSnackbar.showSnackbar(data);
+
+  // El mensaje eliminado de la GUI tambien se elimina de arrayLoadedMessages
+  if (arrayLoadedMessages.length > 0) {
+
+    for(var i = 0; i < arrayLoadedMessages.length; i++) {
+
+      if (arrayLoadedMessages[i].id == docReference.id) {
+        arrayLoadedMessages.splice(i, 1);
+      }
+
+    } // End for
+
+  }
+
+}
+
+/*
+Destaca o desestaca el mensaje en el cual sucede el evento 'click' al
+presionar el boton de destacar mensaje asociado a dicho mensaje
+*/
+async function highlightMessage(event) {
+  /*
+  Comprueba que el usuario no este conectado, en cuyo caso el boton
+  para destacar un mensaje no debe realizar dicha accion
+  */
+  if (!checkSignedInWithMessage()) {
+    return;
+  }
+
+  // Obtiene el acceso al boton que se presiono para destacar un mensaje
+  const givenButton = event.target;
+
+  console.log("ID del documento destacado: " + givenButton.dataset.messageId);
+  console.log("")
+
+  const docReference = getMessageRef(givenButton.dataset.messageId);
+  const docSnap = await getDoc(docReference);
+
+  /*
+  Si el atributo favorite del mensaje es falso al momento de la pulsacion del
   boton de destacar mensaje, se le asigna el valor true, y el icono de dicho
   boton cambia por el icono de una estrella rellena. Esto es para destacar un mensaje
   desestacado.
@@ -346,9 +1782,16 @@ async function highlightMessage(event) {
     givenButton.removeAttribute('class');
     givenButton.setAttribute('class', 'fa fa-star');
 
-    updateDoc(docReference, {
-      favorite: true
-    });
+    // The star goes back to its previous state if the update is rejected.
+    try {
+      await updateDoc(docReference, {
+        favorite: true
+      });
+    }
+    catch(error) {
+      console.error('Error marking message as favorite', error);
+      givenButton.setAttribute('class', 'fa fa-star-o');
+    }
   }
 
   /*
@@ -361,9 +1804,16 @@ async function highlightMessage(event) {
     givenButton.removeAttribute('class');
     givenButton.setAttribute('class', 'fa fa-star-o');
 
-    updateDoc(docReference, {
-      favorite: false
-    });
+    try {
+      await updateDoc(docReference, {
+        favorite: false
+      });
+    }
+    catch(error) {
+      console.error('Error unmarking favorite message', error);
+      givenButton.setAttribute('class', 'fa fa-star');
+      return;
+    }
 
     /*
     Si se muestra la lista de mensajes marcados como favoritos (lo cual sucede cuando la variable
@@ -440,31 +1890,29 @@ async function displayMessages() {
 
 // Muestra unicamente los mensajes marcados como favoritos
 function displayFavoritesMessages() {
-  const favoriteMessagesQuery = query(collection(getFirestore(), 'messages'), where("favorite", "==", true), orderBy('timestamp', 'desc'));
+  const favoriteMessagesQuery = query(getMessagesCollection(), where("favorite", "==", true), orderBy('timestamp', 'desc'));
 
   getDocs(favoriteMessagesQuery).then((querySnapshot) => {
       querySnapshot.forEach((currentDoc) => {
-        displayMessage(currentDoc.id, currentDoc.data().timestamp, currentDoc.data().name, currentDoc.data().text, currentDoc.data().profilePicUrl, currentDoc.data().imageUrl,
-        currentDoc.data().favorite);
+        displayMessage(currentDoc.id, currentDoc.data());
       });
   });
 }
 
 // Muestra todos los mensajes, los que no estan marcados como favoritos y los que si lo estan
 function displayAllMessages() {
-  const allMessagesQuery = query(collection(getFirestore(), 'messages'), orderBy('timestamp', 'desc'));
+  const allMessagesQuery = query(getMessagesCollection(), orderBy('timestamp', 'desc'));
 
   getDocs(allMessagesQuery).then((querySnapshot) => {
       querySnapshot.forEach((currentDoc) => {
-        displayMessage(currentDoc.id, currentDoc.data().timestamp, currentDoc.data().name, currentDoc.data().text, currentDoc.data().profilePicUrl, currentDoc.data().imageUrl,
-        currentDoc.data().favorite);
+        displayMessage(currentDoc.id, currentDoc.data());
       });
   });
 }
 
 // Elimina todos los mensajes de la interfaz grafica de usuario
 function deleteAllDocsFromGUI() {
-  const allMessagesQuery = query(collection(getFirestore(), 'messages'), orderBy('timestamp', 'desc'));
+  const allMessagesQuery = query(getMessagesCollection(), orderBy('timestamp', 'desc'));
 
   getDocs(allMessagesQuery).then((querySnapshot) => {
       querySnapshot.forEach((currentDoc) => {
@@ -475,7 +1923,7 @@ function deleteAllDocsFromGUI() {
 
 // Retorna true si hay mensajes favoritos, false en caso contrario
 function noFavoriteMessages() {
-  const favoriteMessagesQuery = query(collection(getFirestore(), 'messages'), where("favorite", "==", true), orderBy('timestamp', 'desc'));
+  const favoriteMessagesQuery = query(getMessagesCollection(), where("favorite", "==", true), orderBy('timestamp', 'desc'));
 
   return getDocs(favoriteMessagesQuery).then((querySnapshot) => {
     return querySnapshot.empty;
@@ -493,6 +1941,11 @@ async function deleteAllExceptFavorites() {
     return;
   }
 
+  // Only moderators and admins can delete the messages of everybody.
+  if (!checkModeratorWithMessage()) {
+    return;
+  }
+
   /*
   Si no hay mensajes cargados en la base de datos de Firebase, no
   es posible borrar todos los mensajes excepto los que estan
@@ -519,7 +1972,7 @@ async function deleteAllExceptFavorites() {
     }
   }
 
-  const allMessagesQuery = query(collection(getFirestore(), 'messages'), orderBy('timestamp', 'desc'));
+  const allMessagesQuery = query(getMessagesCollection(), orderBy('timestamp', 'desc'));
 
   getDocs(allMessagesQuery).then((querySnapshot) => {
       querySnapshot.forEach((currentDoc) => {
@@ -528,11 +1981,13 @@ async function deleteAllExceptFavorites() {
         como favorito, se lo elimina de la GUI y de la base de datos
         de Firebase
         */
-        if (!currentDoc.data().favorite) {
+        if (!currentDoc.data().favorite && !currentDoc.data().trashed) {
           // Elimina el mensaje de la GUI
           deleteMessage(currentDoc.id);
-          deleteImage(currentDoc.data().imageUrl);
-          deleteDoc(doc(getFirestore(), 'messages', currentDoc.id));
+          trashMessage(getMessageRef(currentDoc.id)).catch(function(error) {
+            console.error('Error moving message to the trash', currentDoc.id, error);
+            displayMessage(currentDoc.id, currentDoc.data());
+          });
         }
       });
   });
@@ -540,50 +1995,21 @@ async function deleteAllExceptFavorites() {
 
 // Retorna true si hay mensajes cargados en la base de datos de Firebase, false en caso contrario
 function noMessages() {
-  const allMessagesQuery = query(collection(getFirestore(), 'messages'), orderBy('timestamp', 'desc'));
+  const allMessagesQuery = query(getMessagesCollection(), orderBy('timestamp', 'desc'));
 
   return getDocs(allMessagesQuery).then((querySnapshot) => {
     return querySnapshot.empty;
   });
 }
 
-// Elimina una imagen de la base de datos de Firebase
-function deleteImage(imageUrl) {
-  /*
-  Si imageUrl no tiene el valor undefined, el documento del cual proviene,
-  contiene una imagen, por lo tanto, se tiene que eliminar dicha imagen de
-  Firebase
-  */
-  if (imageUrl !== undefined) {
-    // Crea una referencia con el URL de la imagen del documento
-    const httpsReference = ref(getStorage(), imageUrl);
-
-    console.log("*** Datos de la imagen eliminada ***");
-    console.log("fullPath: " + httpsReference.fullPath);
-    console.log("file name:" + httpsReference.name);
-    console.log("");
-
-    // Create a child reference to the file to delete
-    const desertRef = ref(getStorage(), httpsReference.fullPath);
-
-    // Delete the file
-    deleteObject(desertRef).then(() => {
-      console.log("File deleted successfully");
-      console.log("");
-    }).catch((error) => {
-      console.log("Uh-oh, an error occurred!");
-      console.log(error);
-    });
-  }
-}
-
 // Saves a new message containing an image in Firebase.
 // This first saves the image in Firebase storage.
 async function saveImageMessage(file) {
   try {
     // 1 - We add a message with a loading icon that will get updated with the shared image.
-    const messageRef = await addDoc(collection(getFirestore(), 'messages'), {
+    const messageRef = await postMessage(doc(getMessagesCollection()), {
       name: getUserName(),
+      uid: getAuth().currentUser.uid,
       imageUrl: LOADING_IMAGE_URL,
       profilePicUrl: getProfilePicUrl(),
       timestamp: serverTimestamp()
@@ -592,19 +2018,419 @@ async function saveImageMessage(file) {
     // 2 - Upload the image to Cloud Storage.
     const filePath = `${getAuth().currentUser.uid}/${messageRef.id}/${file.name}`;
     const newImageRef = ref(getStorage(), filePath);
-    const fileSnapshot = await uploadBytesResumable(newImageRef, file);
+    // The conversation is kept in the file metadata so Storage rules can check its membership.
+    const fileSnapshot = await uploadBytesResumable(newImageRef, file, {
+      customMetadata: getConversationMetadata()
+    });
 
     // 3 - Generate a public URL for the file.
     const publicImageUrl = await getDownloadURL(newImageRef);
 
-    // 4 - Update the chat message placeholder with the image's URL.
-    await updateDoc(messageRef,{
-      imageUrl: publicImageUrl,
-      storageUri: fileSnapshot.metadata.fullPath
-    });
-  } catch (error) {
-    console.error('There was an error uploading a file to Cloud Storage:', error);
-  }
+    // 4 - Update the chat message placeholder with the image's URL.
+    await updateDoc(messageRef,{
+      imageUrl: publicImageUrl,
+      storageUri: fileSnapshot.metadata.fullPath
+    });
+  } catch (error) {
+    console.error('There was an error uploading a file to Cloud Storage:', error);
+  }
+}
+
+// Saves a new message with a file attachment in Firebase.
+// The file is uploaded first, under the ID the message will have, and the message is added once it's uploaded.
+async function saveFileMessage(file) {
+  try {
+    const messageRef = doc(getMessagesCollection());
+
+    const filePath = `${getAuth().currentUser.uid}/${messageRef.id}/${file.name}`;
+    const newFileRef = ref(getStorage(), filePath);
+    // The conversation is kept in the file metadata so Storage rules can check its membership.
+    const fileSnapshot = await uploadBytesResumable(newFileRef, file, {
+      contentType: file.type,
+      customMetadata: getConversationMetadata()
+    });
+    const fileUrl = await getDownloadURL(newFileRef);
+
+    await postMessage(messageRef, {
+      name: getUserName(),
+      uid: getAuth().currentUser.uid,
+      fileUrl: fileUrl,
+      fileName: file.name,
+      fileSize: file.size,
+      fileType: file.type,
+      storageUri: fileSnapshot.metadata.fullPath,
+      profilePicUrl: getProfilePicUrl(),
+      timestamp: serverTimestamp(),
+      favorite: false
+    });
+  } catch (error) {
+    console.error('There was an error uploading a file to Cloud Storage:', error);
+  }
+}
+
+// The attachments allowed when no configuration was saved by an admin.
+// Must match the defaults of storage.rules.
+var DEFAULT_ATTACHMENT_CONFIG = {
+  allowedTypes: ['image/png', 'image/jpeg', 'image/gif', 'image/webp'],
+  maxSizeMB: 5,
+};
+
+// The MIME types and the maximum size of the attachments, saved by admins in `config/attachments`
+// and also enforced by storage.rules.
+let attachmentConfig = DEFAULT_ATTACHMENT_CONFIG;
+
+// Loads the attachment configuration.
+async function loadAttachmentConfig() {
+  try {
+    const configSnap = await getDoc(doc(getFirestore(), 'config', 'attachments'));
+    attachmentConfig = configSnap.exists() ? configSnap.data() : DEFAULT_ATTACHMENT_CONFIG;
+  }
+  catch(error) {
+    console.error('Error loading the attachment configuration', error);
+  }
+}
+
+// Returns the reason why the given file can't be shared, or null if it can.
+function getAttachmentError(file) {
+  if (!attachmentConfig.allowedTypes.includes(file.type)) {
+    return 'This type of file can\'t be shared';
+  }
+  if (file.size >= attachmentConfig.maxSizeMB * 1024 * 1024) {
+    return 'Files must be smaller than ' + attachmentConfig.maxSizeMB + ' MB';
+  }
+  return null;
+}
+
+// Returns the Bootstrap icon of the given MIME type.
+function getFileIcon(fileType) {
+  if (fileType === 'application/pdf') {
+    return 'bi-file-earmark-pdf';
+  }
+  if (/zip|compressed|tar|gzip/.test(fileType)) {
+    return 'bi-file-earmark-zip';
+  }
+  if (/^text\//.test(fileType) || fileType === 'application/json') {
+    return 'bi-file-earmark-text';
+  }
+  if (/^audio\//.test(fileType)) {
+    return 'bi-file-earmark-music';
+  }
+  if (/^video\//.test(fileType)) {
+    return 'bi-file-earmark-play';
+  }
+  return 'bi-file-earmark';
+}
+
+// Returns the given size in bytes as a human readable string, e.g. "1.2 MB".
+function formatFileSize(size) {
+  if (size < 1024) {
+    return size + ' B';
+  }
+  if (size < 1024 * 1024) {
+    return (size / 1024).toFixed(1) + ' KB';
+  }
+  return (size / (1024 * 1024)).toFixed(1) + ' MB';
+}
+
+// Fills the given element with the icon, name, size and download link of the attachment of the given message.
+function displayFileAttachment(messageElement, message) {
+  const attachment = document.createElement('a');
+  attachment.setAttribute('class', 'file-attachment');
+  attachment.setAttribute('target', '_blank');
+  attachment.setAttribute('rel', 'noopener noreferrer');
+  attachment.setAttribute('download', message.fileName || '');
+  attachment.href = message.fileUrl;
+
+  const icon = document.createElement('i');
+  icon.setAttribute('class', 'bi ' + getFileIcon(message.fileType || ''));
+  attachment.appendChild(icon);
+
+  const nameElement = document.createElement('span');
+  nameElement.setAttribute('class', 'file-name');
+  nameElement.textContent = message.fileName || 'File';
+  attachment.appendChild(nameElement);
+
+  const sizeElement = document.createElement('span');
+  sizeElement.setAttribute('class', 'file-size');
+  sizeElement.textContent = message.fileSize ? formatFileSize(message.fileSize) : '';
+  attachment.appendChild(sizeElement);
+
+  messageElement.innerHTML = '';
+  messageElement.appendChild(attachment);
+}
+
+// Maximum size at which images are displayed in the message list, also set in main.css.
+var MAX_IMAGE_WIDTH = 300;
+var MAX_IMAGE_HEIGHT = 200;
+
+// Fills the given element with the image of a message, letting the browser pick the smallest of the resized
+// variants generated by the blurOffensiveImages Cloud Function. The image has a fixed size and shows a
+// blurred placeholder while it loads lazily, so the message list doesn't jump around.
+function displayResponsiveImage(messageElement, imageUrl, imageVariants) {
+  const scale = Math.min(1, MAX_IMAGE_WIDTH / imageVariants.width, MAX_IMAGE_HEIGHT / imageVariants.height);
+  const width = Math.round(imageVariants.width * scale);
+  const height = Math.round(imageVariants.height * scale);
+  const sizes = width + 'px';
+
+  // The original image is the largest candidate.
+  const getSrcset = function(format) {
+    return imageVariants.sources.filter(function(source) {
+      return source.format === format;
+    }).map(function(source) {
+      return source.url + ' ' + source.width + 'w';
+    }).concat(imageUrl + ' ' + imageVariants.width + 'w').join(', ');
+  };
+
+  const picture = document.createElement('picture');
+  const webpSource = document.createElement('source');
+  webpSource.type = 'image/webp';
+  webpSource.sizes = sizes;
+  webpSource.srcset = getSrcset('webp');
+  picture.appendChild(webpSource);
+
+  const image = document.createElement('img');
+  image.width = width;
+  image.height = height;
+  image.loading = 'lazy';
+  image.decoding = 'async';
+  image.sizes = sizes;
+  image.srcset = getSrcset('jpeg');
+  image.src = imageUrl;
+  if (imageVariants.placeholder) {
+    image.style.backgroundImage = 'url("' + imageVariants.placeholder + '")';
+  }
+  image.addEventListener('load', function() {
+    image.style.backgroundImage = '';
+  });
+  picture.appendChild(image);
+
+  messageElement.innerHTML = '';
+  messageElement.appendChild(picture);
+}
+
+// Shortest and longest voice messages that can be recorded.
+var MIN_VOICE_MESSAGE_MS = 500;
+var MAX_VOICE_MESSAGE_MS = 2 * 60 * 1000;
+
+// Number of bars of the waveform of a voice message.
+var WAVEFORM_BARS = 40;
+
+// The recorder of the voice message being recorded, when and the timer stopping it at the maximum length.
+let voiceRecorder = null;
+let voiceRecordingStartedAt = 0;
+let voiceRecordingTimeout = null;
+
+// True while the record button is held down.
+let recordVoiceButtonHeld = false;
+
+// Starts recording a voice message while the record button is held down.
+async function startVoiceRecording(event) {
+  event.preventDefault();
+  recordVoiceButtonHeld = true;
+  if (voiceRecorder || !checkSignedInWithMessage()) {
+    return;
+  }
+  if (!window.MediaRecorder || !navigator.mediaDevices) {
+    signInSnackbarElement.MaterialSnackbar.showSnackbar({
+      message: 'Voice messages are not supported by this browser',
+      timeout: 2000,
+    });
+    return;
+  }
+
+  let stream;
+  try {
+    stream = await navigator.mediaDevices.getUserMedia({ audio: true });
+  }
+  catch(error) {
+    console.error('Unable to access the microphone', error);
+    return;
+  }
+  // The button may have been released while the microphone permission was asked.
+  if (!recordVoiceButtonHeld || voiceRecorder) {
+    stream.getTracks().forEach(function(track) {
+      track.stop();
+    });
+    return;
+  }
+
+  const chunks = [];
+  const recorder = new MediaRecorder(stream);
+  recorder.addEventListener('dataavailable', function(dataEvent) {
+    chunks.push(dataEvent.data);
+  });
+  recorder.addEventListener('stop', function() {
+    stream.getTracks().forEach(function(track) {
+      track.stop();
+    });
+    // Too short recordings are most likely accidental taps.
+    if (Date.now() - voiceRecordingStartedAt >= MIN_VOICE_MESSAGE_MS) {
+      // Codecs are dropped from the MIME type so Storage rules can check it.
+      const type = (recorder.mimeType || 'audio/webm').split(';')[0];
+      saveVoiceMessage(new Blob(chunks, { type: type }));
+    }
+  });
+
+  voiceRecorder = recorder;
+  voiceRecordingStartedAt = Date.now();
+  voiceRecordingTimeout = setTimeout(stopVoiceRecording, MAX_VOICE_MESSAGE_MS);
+  recorder.start();
+  recordVoiceButtonElement.classList.add('recording');
+}
+
+// Stops recording the voice message when the record button is released, which sends it.
+function stopVoiceRecording() {
+  recordVoiceButtonHeld = false;
+  if (!voiceRecorder) {
+    return;
+  }
+  clearTimeout(voiceRecordingTimeout);
+  voiceRecorder.stop();
+  voiceRecorder = null;
+  recordVoiceButtonElement.classList.remove('recording');
+}
+
+// Returns the duration in seconds and the waveform, as peaks between 0 and 1, of the given audio clip.
+async function analyzeVoiceClip(blob) {
+  const audioContext = new AudioContext();
+  try {
+    const audioBuffer = await audioContext.decodeAudioData(await blob.arrayBuffer());
+    const samples = audioBuffer.getChannelData(0);
+    const samplesPerBar = Math.max(1, Math.floor(samples.length / WAVEFORM_BARS));
+
+    const peaks = [];
+    for (let bar = 0; bar < WAVEFORM_BARS; bar++) {
+      let peak = 0;
+      for (let i = bar * samplesPerBar; i < Math.min((bar + 1) * samplesPerBar, samples.length); i++) {
+        peak = Math.max(peak, Math.abs(samples[i]));
+      }
+      peaks.push(peak);
+    }
+    const maxPeak = Math.max.apply(null, peaks) || 1;
+
+    return {
+      duration: Math.round(audioBuffer.duration * 10) / 10,
+      waveform: peaks.map(function(peak) {
+        return Math.round(peak / maxPeak * 100) / 100;
+      }),
+    };
+  }
+  finally {
+    audioContext.close();
+  }
+}
+
+// Saves a new voice message in Firebase.
+// The clip is uploaded first, under the ID the message will have, like saveFileMessage does.
+async function saveVoiceMessage(blob) {
+  try {
+    const messageRef = doc(getMessagesCollection());
+    // Storage rules only accept voice messages under this file name.
+    const extension = blob.type === 'audio/mp4' ? 'm4a' : blob.type.split('/')[1];
+
+    const filePath = `${getAuth().currentUser.uid}/${messageRef.id}/voice.${extension}`;
+    const newAudioRef = ref(getStorage(), filePath);
+    // The conversation is kept in the file metadata so Storage rules can check its membership.
+    const [fileSnapshot, clip] = await Promise.all([
+      uploadBytesResumable(newAudioRef, blob, {
+        contentType: blob.type,
+        customMetadata: getConversationMetadata()
+      }),
+      analyzeVoiceClip(blob),
+    ]);
+    const audioUrl = await getDownloadURL(newAudioRef);
+
+    await postMessage(messageRef, {
+      name: getUserName(),
+      uid: getAuth().currentUser.uid,
+      audioUrl: audioUrl,
+      audioDuration: clip.duration,
+      audioWaveform: clip.waveform,
+      storageUri: fileSnapshot.metadata.fullPath,
+      profilePicUrl: getProfilePicUrl(),
+      timestamp: serverTimestamp(),
+      favorite: false
+    });
+  } catch (error) {
+    console.error('There was an error uploading a voice message to Cloud Storage:', error);
+  }
+}
+
+// Returns the given duration in seconds as "m:ss".
+function formatDuration(seconds) {
+  const wholeSeconds = Math.round(seconds);
+  return Math.floor(wholeSeconds / 60) + ':' + String(wholeSeconds % 60).padStart(2, '0');
+}
+
+// Fills the given element with an inline player of the voice message: a play button,
+// the waveform showing the progress, which can be clicked to seek, and the duration.
+function displayVoiceMessage(messageElement, message) {
+  const player = document.createElement('div');
+  player.setAttribute('class', 'voice-message');
+
+  const audio = document.createElement('audio');
+  audio.preload = 'none';
+  audio.src = message.audioUrl;
+  player.appendChild(audio);
+
+  const playButton = document.createElement('button');
+  playButton.setAttribute('class', 'voice-message-play bi bi-play-fill');
+  playButton.setAttribute('title', 'Play');
+  playButton.addEventListener('click', function() {
+    if (audio.paused) {
+      audio.play();
+    } else {
+      audio.pause();
+    }
+  });
+  player.appendChild(playButton);
+
+  const waveform = document.createElement('div');
+  waveform.setAttribute('class', 'voice-message-waveform');
+  (message.audioWaveform || []).forEach(function(peak) {
+    const bar = document.createElement('span');
+    bar.style.height = Math.max(2, Math.round(peak * 32)) + 'px';
+    waveform.appendChild(bar);
+  });
+  waveform.addEventListener('click', function(event) {
+    const bounds = waveform.getBoundingClientRect();
+    const duration = isFinite(audio.duration) ? audio.duration : message.audioDuration;
+    audio.currentTime = (event.clientX - bounds.left) / bounds.width * duration;
+    audio.play();
+  });
+  player.appendChild(waveform);
+
+  const durationElement = document.createElement('span');
+  durationElement.setAttribute('class', 'voice-message-duration');
+  durationElement.textContent = formatDuration(message.audioDuration || 0);
+  player.appendChild(durationElement);
+
+  // Shows the progress of the playback on the waveform and the remaining time.
+  const displayProgress = function() {
+    const duration = isFinite(audio.duration) ? audio.duration : message.audioDuration;
+    const playedBars = duration ? Math.round(audio.currentTime / duration * waveform.children.length) : 0;
+    for (let i = 0; i < waveform.children.length; i++) {
+      waveform.children[i].classList.toggle('played', i < playedBars);
+    }
+    durationElement.textContent = formatDuration(audio.paused && audio.currentTime === 0 ?
+        message.audioDuration || 0 : Math.max(0, duration - audio.currentTime));
+  };
+  audio.addEventListener('timeupdate', displayProgress);
+  audio.addEventListener('play', function() {
+    playButton.setAttribute('class', 'voice-message-play bi bi-pause-fill');
+    playButton.setAttribute('title', 'Pause');
+  });
+  audio.addEventListener('pause', function() {
+    playButton.setAttribute('class', 'voice-message-play bi bi-play-fill');
+    playButton.setAttribute('title', 'Play');
+  });
+  audio.addEventListener('ended', function() {
+    audio.currentTime = 0;
+    displayProgress();
+  });
+
+  messageElement.innerHTML = '';
+  messageElement.appendChild(player);
 }
 
 // Saves the messaging device token to Cloud Firestore.
@@ -656,10 +2482,11 @@ function onMediaFileSelected(event) {
   // Clear the selection in the file picker input.
   imageFormElement.reset();
 
-  // Check if the file is an image.
-  if (!file.type.match('image.*')) {
+  // Check the type and the size of the file against the attachment configuration.
+  const attachmentError = getAttachmentError(file);
+  if (attachmentError) {
     var data = {
-      message: 'You can only share images',
+      message: attachmentError,
       timeout: 2000,
     };
     signInSnackbarElement.MaterialSnackbar.showSnackbar(data);
@@ -667,7 +2494,12 @@ function onMediaFileSelected(event) {
   }
   // Check if the user is signed-in
   if (checkSignedInWithMessage()) {
-    saveImageMessage(file);
+    // Images are shown in the message, other files as a download link.
+    if (file.type.match('image.*')) {
+      saveImageMessage(file);
+    } else {
+      saveFileMessage(file);
+    }
   }
 }
 
@@ -684,6 +2516,8 @@ function onMessageFormSubmit(e) {
       // Clear message text field and re-enable the SEND button.
       resetMaterialTextfield(messageInputElement);
       toggleButton();
+      displayMessagePreview();
+      clearTypingState();
     });
   }
 }
@@ -706,39 +2540,825 @@ function authStateObserver(user) {
     userPicElement.removeAttribute('hidden');
     signOutButtonElement.removeAttribute('hidden');
 
-    // Hide sign-in button.
-    signInButtonGoogle.setAttribute('hidden', 'true');
-    signInButtonFacebook.setAttribute('hidden', 'true');
+    // Hide sign-in button.
+    signInButtonGoogle.setAttribute('hidden', 'true');
+    signInButtonFacebook.setAttribute('hidden', 'true');
+
+    // We save the Firebase Messaging Device token and enable notifications.
+    saveMessagingDeviceToken();
+
+    // Publish the profile and presence of the user, and listen to the ones of the others.
+    saveUserProfile();
+    startPresence();
+    loadUsers();
+    loadUnreadCounts();
+    loadAttachmentConfig();
+    loadUserRole(false);
+    loadOwnSanction();
+    loadRateLimits();
+    loadOwnReports();
+
+    // Join the default channel, then load the conversation lists and its messages.
+    joinChannel(DEFAULT_CHANNEL_ID).then(function() {
+      loadChannels();
+      loadDirectMessages();
+      selectConversation('channels', DEFAULT_CHANNEL_ID);
+    });
+  } else {
+    // User is signed out!
+    // Hide user's profile and sign-out button.
+    userNameElement.setAttribute('hidden', 'true');
+    userPicElement.setAttribute('hidden', 'true');
+    signOutButtonElement.setAttribute('hidden', 'true');
+
+    // Stop listening to conversations, only members can read their messages.
+    if (unsubscribeChannels) {
+      unsubscribeChannels();
+    }
+    if (unsubscribeDirectMessages) {
+      unsubscribeDirectMessages();
+    }
+    if (unsubscribeMessages) {
+      unsubscribeMessages();
+    }
+    if (unsubscribeTyping) {
+      unsubscribeTyping();
+    }
+    if (unsubscribeUsers) {
+      unsubscribeUsers();
+    }
+    if (unsubscribeReadReceipts) {
+      unsubscribeReadReceipts();
+    }
+    if (unsubscribeUnreadCounts) {
+      unsubscribeUnreadCounts();
+    }
+    unreadCounts = {};
+    displayUnreadCounts();
+    currentUserRole = null;
+    displayRoleControls();
+    loadReportQueue();
+    if (unsubscribeOwnReports) {
+      unsubscribeOwnReports();
+    }
+    if (unsubscribeSanction) {
+      unsubscribeSanction();
+    }
+    currentSanction = null;
+    displaySanctionState();
+    if (unsubscribeRateLimitConfig) {
+      unsubscribeRateLimitConfig();
+    }
+    if (unsubscribeRateLimitState) {
+      unsubscribeRateLimitState();
+    }
+    rateLimitState = null;
+    displayRateLimit();
+    knownUsers = {};
+    displayOnlineUsers();
+    displaySearchAuthors();
+    searchResultsElement.innerHTML = '';
+    typingUsers = {};
+    displayTypingUsers();
+    closeThread();
+    closeTrash();
+    channelListElement.innerHTML = '';
+    directMessageListElement.innerHTML = '';
+    messageListElement.innerHTML = '';
+
+    // Show sign-in button.
+    signInButtonGoogle.removeAttribute('hidden');
+    signInButtonFacebook.removeAttribute('hidden');
+  }
+}
+
+// Returns true if user is signed-in. Otherwise false and displays a message.
+function checkSignedInWithMessage() {
+  // Return true if the user is signed in Firebase
+  if (isUserSignedIn()) {
+    return true;
+  }
+
+  // Display a message to the user using a Toast.
+  var data = {
+    message: 'You must sign-in first',
+    timeout: 2000,
+  };
+  signInSnackbarElement.MaterialSnackbar.showSnackbar(data);
+  return false;
+}
+
+// The role of the signed-in user, read from the `role` custom claim of their ID token:
+// 'admin', 'moderator', 'member' or null.
+let currentUserRole = null;
+
+// Reads the role of the signed-in user from their ID token, refreshing it if asked, and shows
+// the controls the role gives access to.
+async function loadUserRole(forceRefresh) {
+  try {
+    const idTokenResult = await getAuth().currentUser.getIdTokenResult(forceRefresh);
+    currentUserRole = idTokenResult.claims.role || null;
+  }
+  catch(error) {
+    console.error('Error reading the role of the user', error);
+    currentUserRole = null;
+  }
+  displayRoleControls();
+  loadReportQueue();
+}
+
+// Returns true if the signed-in user is a moderator or an admin.
+function isModerator() {
+  return currentUserRole === 'moderator' || currentUserRole === 'admin';
+}
+
+// Returns true if the signed-in user is an admin.
+function isAdmin() {
+  return currentUserRole === 'admin';
+}
+
+// Returns true if the signed-in user is a moderator or an admin, and shows a message otherwise.
+function checkModeratorWithMessage() {
+  if (isModerator()) {
+    return true;
+  }
+
+  var data = {
+    message: 'Only moderators and admins can do this',
+    timeout: 2000,
+  };
+  signInSnackbarElement.MaterialSnackbar.showSnackbar(data);
+  return false;
+}
+
+// Shows the destructive buttons and the moderation queue only to moderators and admins, and the role
+// management and the audit log only to admins.
+function displayRoleControls() {
+  deleteAllButtonElement.hidden = !isModerator();
+  deleteNonFavoriteButton.hidden = !isModerator();
+  manageRolesButtonElement.hidden = !isAdmin();
+  slowModeButtonElement.hidden = !isAdmin();
+  retentionButtonElement.hidden = !isAdmin();
+  importButtonElement.hidden = !isAdmin();
+  reportQueueButtonElement.hidden = !isModerator();
+  auditLogButtonElement.hidden = !isAdmin();
+  if (!isAdmin()) {
+    closeAuditLog();
+  }
+
+  messageListElement.querySelectorAll('.message-container').forEach(displayDeleteButton);
+}
+
+// Shows the delete button of the given message card to its author, moderators and admins, and the
+// report button to the other users.
+function displayDeleteButton(div) {
+  const deleteButton = div.querySelector('.mdl-delete-button');
+  const isAuthor = isUserSignedIn() && div.dataset.uid === getAuth().currentUser.uid;
+  deleteButton.hidden = !isAuthor && !isModerator();
+
+  // Moderators can sanction the authors of the messages, except themselves.
+  const sanctionButton = div.querySelector('.sanction-button');
+  sanctionButton.hidden = isAuthor || !div.dataset.uid || !isModerator();
+
+  const reportButton = div.querySelector('.report-button');
+  reportButton.hidden = isAuthor || !isUserSignedIn();
+}
+
+// Asks an admin for a user and a role, and sets it with the setUserRole callable Cloud Function.
+async function manageUserRoles() {
+  if (!checkSignedInWithMessage()) {
+    return;
+  }
+
+  const name = prompt('Name of the user:');
+  if (!name) {
+    return;
+  }
+  const uid = Object.keys(knownUsers).find(function(userId) {
+    return knownUsers[userId].name === name.trim();
+  });
+  if (!uid) {
+    alert('There is no user named ' + name);
+    return;
+  }
+
+  const role = prompt('Role of ' + name + ' (admin, moderator or member):', knownUsers[uid].role || 'member');
+  if (!role) {
+    return;
+  }
+
+  try {
+    await httpsCallable(getFunctions(), 'setUserRole')({ uid: uid, role: role.trim() });
+    alert(name + ' is now ' + role.trim());
+  }
+  catch(error) {
+    alert('The role could not be changed: ' + error.message);
+  }
+}
+
+// Default length of a timeout, in minutes, and of a mute, in hours.
+var DEFAULT_TIMEOUT_MINUTES = 10;
+var DEFAULT_MUTE_HOURS = 24;
+
+// The active sanction of the signed-in user, the function that stops listening to it and the
+// timer lifting it in the composer when it expires.
+let currentSanction = null;
+let unsubscribeSanction = null;
+let sanctionExpiryTimeout = null;
+
+// Returns true if the given sanction stops its user from posting right now. Bans never expire.
+function isActiveSanction(sanction) {
+  return Boolean(sanction) && (sanction.type === 'ban' || (sanction.until && sanction.until.toMillis() > Date.now()));
+}
+
+// Creates the button moderators use to mute, time out or ban the author of the given message.
+function createSanctionButton(messageId) {
+  const sanctionButton = document.createElement('button');
+  sanctionButton.setAttribute('title', 'Mute, time out or ban the author');
+  sanctionButton.setAttribute('data-message-id', messageId);
+  sanctionButton.setAttribute('class', 'sanction-button bi bi-slash-circle');
+  sanctionButton.setAttribute('hidden', 'true');
+  sanctionButton.addEventListener('click', onSanctionButtonClick);
+
+  return sanctionButton;
+}
+
+// Asks a moderator which sanction to give to the author of the message whose sanction button was clicked.
+async function onSanctionButtonClick(event) {
+  if (!checkSignedInWithMessage() || !checkModeratorWithMessage()) {
+    return;
+  }
+
+  const div = document.getElementById(event.currentTarget.dataset.messageId);
+  const uid = div.dataset.uid;
+  const name = div.querySelector('.name').textContent;
+
+  const type = prompt('Sanction for ' + name + ': timeout, mute, ban or lift', 'timeout');
+  if (!type) {
+    return;
+  }
+
+  let minutes = null;
+  if (type === 'timeout') {
+    minutes = Number(prompt('Time out ' + name + ' for how many minutes?', DEFAULT_TIMEOUT_MINUTES));
+  } else if (type === 'mute') {
+    minutes = Number(prompt('Mute ' + name + ' for how many hours?', DEFAULT_MUTE_HOURS)) * 60;
+  } else if (type !== 'ban' && type !== 'lift') {
+    alert('Unknown sanction: ' + type);
+    return;
+  }
+  if (minutes !== null && !(minutes > 0)) {
+    return;
+  }
+
+  const reason = type === 'lift' ? null : prompt('Reason (optional):', '');
+  try {
+    await sanctionUser(uid, name, type, minutes, reason);
+  }
+  catch(error) {
+    console.error('Error sanctioning user', uid, error);
+  }
+}
+
+// Saves the given sanction of the given user, or lifts their sanction. Timeouts and mutes last the given
+// number of minutes, bans are permanent. Sanctions are enforced by the security rules.
+async function sanctionUser(uid, name, type, minutes, reason) {
+  const sanctionRef = doc(getFirestore(), 'sanctions', uid);
+  if (type === 'lift') {
+    await deleteDoc(sanctionRef);
+    return;
+  }
+
+  await setDoc(sanctionRef, {
+    type: type,
+    name: name,
+    until: type === 'ban' ? null : Timestamp.fromMillis(Date.now() + minutes * 60 * 1000),
+    reason: reason || '',
+    by: getAuth().currentUser.uid,
+    byName: getUserName(),
+    createdAt: serverTimestamp()
+  });
+}
+
+// Longest delay of setTimeout, beyond which it fires right away.
+var MAX_TIMER_DELAY_MS = 2147483647;
+
+// Listens to the sanction of the signed-in user to show it in the composer.
+function loadOwnSanction() {
+  unsubscribeSanction = onSnapshot(doc(getFirestore(), 'sanctions', getAuth().currentUser.uid), function(sanctionSnap) {
+    currentSanction = sanctionSnap.exists() ? sanctionSnap.data() : null;
+    displaySanctionState();
+  });
+}
+
+// Disables the composer and shows "You are muted until …" while the signed-in user is sanctioned.
+function displaySanctionState() {
+  clearTimeout(sanctionExpiryTimeout);
+  const sanctioned = isActiveSanction(currentSanction);
+
+  messageInputElement.disabled = sanctioned;
+  imageButtonElement.disabled = sanctioned;
+  recordVoiceButtonElement.disabled = sanctioned;
+  replyInputElement.disabled = sanctioned;
+  toggleButton();
+
+  sanctionNoticeElement.hidden = !sanctioned;
+  if (!sanctioned) {
+    sanctionNoticeElement.textContent = '';
+    return;
+  }
+
+  if (currentSanction.type === 'ban') {
+    sanctionNoticeElement.textContent = 'You are banned from posting';
+  } else {
+    const until = currentSanction.until.toDate().toLocaleString();
+    sanctionNoticeElement.textContent = currentSanction.type === 'timeout' ?
+        'You are timed out until ' + until : 'You are muted until ' + until;
+    // The composer comes back on its own when the sanction expires. Longer delays than timers allow are
+    // waited in several steps.
+    sanctionExpiryTimeout = setTimeout(displaySanctionState,
+        Math.min(currentSanction.until.toMillis() - Date.now() + 1000, MAX_TIMER_DELAY_MS));
+  }
+  if (currentSanction.reason) {
+    sanctionNoticeElement.textContent += ' (' + currentSanction.reason + ')';
+  }
+}
+
+// Maximum length of the reason of a report. It must match the security rules.
+var MAX_REPORT_REASON_LENGTH = 500;
+
+// What the reporter of a message is told once moderators handled their report, by report status.
+var REPORT_OUTCOMES = {
+  dismissed: 'moderators reviewed it and took no action',
+  hidden: 'the message was hidden',
+  deleted: 'the message was deleted',
+  muted: 'its author was muted',
+};
+
+// The open reports of the moderation queue, and the functions that stop listening to them and to
+// the reports of the signed-in user.
+let openReportDocs = [];
+let unsubscribeReportQueue = null;
+let unsubscribeOwnReports = null;
+
+// Creates the button used to report the given message to moderators.
+function createReportButton(messageId) {
+  const reportButton = document.createElement('button');
+  reportButton.setAttribute('title', 'Report to moderators');
+  reportButton.setAttribute('data-message-id', messageId);
+  reportButton.setAttribute('class', 'report-button bi bi-flag');
+  reportButton.setAttribute('hidden', 'true');
+  reportButton.addEventListener('click', onReportButtonClick);
+
+  return reportButton;
+}
+
+// Asks for the reason of the report of the message whose report button was clicked.
+async function onReportButtonClick(event) {
+  if (!checkSignedInWithMessage()) {
+    return;
+  }
+
+  const messageId = event.currentTarget.dataset.messageId;
+  const reason = prompt('Why are you reporting this message?', '');
+  if (!reason || !reason.trim()) {
+    return;
+  }
+
+  try {
+    await reportMessage(messageId, reason.trim().substring(0, MAX_REPORT_REASON_LENGTH));
+    var data = {
+      message: 'Thanks, moderators will review this message',
+      timeout: 2000,
+    };
+    signInSnackbarElement.MaterialSnackbar.showSnackbar(data);
+  }
+  catch(error) {
+    console.error('Error reporting message', messageId, error);
+  }
+}
+
+// Adds a report of the given message of the current conversation to the moderation queue. The report keeps
+// a snapshot of the message, so moderators see what was reported even if it is edited later.
+async function reportMessage(messageId, reason) {
+  const messageSnap = await getDoc(getMessageRef(messageId));
+  const message = messageSnap.data();
+
+  await addDoc(collection(getFirestore(), 'reports'), {
+    conversationType: currentConversation.collection,
+    conversationId: currentConversation.id,
+    messageId: messageId,
+    message: {
+      uid: message.uid || null,
+      name: message.name,
+      text: message.text === undefined ? null : message.text,
+      imageUrl: message.imageUrl || null
+    },
+    reason: reason,
+    reporterUid: getAuth().currentUser.uid,
+    reporterName: getUserName(),
+    status: 'open',
+    createdAt: serverTimestamp()
+  });
+}
+
+// Listens to the reports of the signed-in user, to let them know once moderators handled them.
+function loadOwnReports() {
+  const ownReportsQuery = query(collection(getFirestore(), 'reports'),
+      where('reporterUid', '==', getAuth().currentUser.uid));
+
+  unsubscribeOwnReports = onSnapshot(ownReportsQuery, function(snapshot) {
+    snapshot.forEach(function(reportDoc) {
+      const report = reportDoc.data();
+      if (report.status === 'open' || report.acknowledged) {
+        return;
+      }
+
+      var data = {
+        message: 'Your report of a message by ' + report.message.name + ' was handled: ' +
+            (REPORT_OUTCOMES[report.status] || report.status),
+        timeout: 4000,
+      };
+      signInSnackbarElement.MaterialSnackbar.showSnackbar(data);
+      // Each outcome is only shown once.
+      updateDoc(reportDoc.ref, { acknowledged: true }).catch(function(error) {
+        console.error('Error acknowledging report', reportDoc.id, error);
+      });
+    });
+  });
+}
+
+// Listens to the open reports while the signed-in user is a moderator or an admin, and stops listening
+// to them otherwise.
+function loadReportQueue() {
+  if (unsubscribeReportQueue) {
+    unsubscribeReportQueue();
+    unsubscribeReportQueue = null;
+  }
+  openReportDocs = [];
+
+  if (isUserSignedIn() && isModerator()) {
+    const reportQueueQuery = query(collection(getFirestore(), 'reports'), where('status', '==', 'open'),
+        orderBy('createdAt'));
+    unsubscribeReportQueue = onSnapshot(reportQueueQuery, function(snapshot) {
+      openReportDocs = snapshot.docs;
+      displayReportQueue();
+    });
+  } else {
+    closeReportQueue();
+  }
+  displayReportQueue();
+}
+
+// Opens the panel listing the reported messages.
+function openReportQueue() {
+  if (!checkSignedInWithMessage() || !checkModeratorWithMessage()) {
+    return;
+  }
+
+  closeThread();
+  closeAuditLog();
+  closeTrash();
+  reportsCardElement.removeAttribute('hidden');
+  displayMessagesCardWidth();
+}
+
+// Closes the panel listing the reported messages.
+function closeReportQueue() {
+  reportsCardElement.setAttribute('hidden', 'true');
+  displayMessagesCardWidth();
+}
+
+// Groups the given reports by reported message, in the order of their first report.
+function groupReportsByMessage(reportDocs) {
+  const groups = [];
+  const groupsByPath = {};
+  reportDocs.forEach(function(reportDoc) {
+    const report = reportDoc.data();
+    const path = report.conversationType + '/' + report.conversationId + '/' + report.messageId;
+    if (!groupsByPath[path]) {
+      groupsByPath[path] = [];
+      groups.push(groupsByPath[path]);
+    }
+    groupsByPath[path].push(reportDoc);
+  });
+  return groups;
+}
+
+// Shows the number of reported messages on the queue button, and lists them in the queue panel.
+function displayReportQueue() {
+  const groups = groupReportsByMessage(openReportDocs);
+  reportCountElement.textContent = groups.length > 0 ? groups.length : '';
+  reportCountElement.hidden = groups.length === 0;
+
+  reportListElement.innerHTML = '';
+  if (groups.length === 0) {
+    const emptyItem = document.createElement('li');
+    emptyItem.setAttribute('class', 'report-item');
+    emptyItem.textContent = 'No reported messages';
+    reportListElement.appendChild(emptyItem);
+    return;
+  }
+  groups.forEach(function(reportDocs) {
+    reportListElement.appendChild(createReportItem(reportDocs));
+  });
+}
+
+// Creates the queue entry of a reported message from its reports: where and when it was posted,
+// the reported message, the reasons of its reporters and the actions moderators can take.
+function createReportItem(reportDocs) {
+  const report = reportDocs[0].data();
+  const reportItem = document.createElement('li');
+  reportItem.setAttribute('class', 'report-item');
+
+  const contextElement = document.createElement('div');
+  contextElement.setAttribute('class', 'report-context');
+  contextElement.textContent = getConversationName(report.conversationType, report.conversationId);
+  if (report.createdAt) {
+    contextElement.textContent += ' · reported ' + report.createdAt.toDate().toLocaleString();
+  }
+  reportItem.appendChild(contextElement);
+
+  const messageElement = document.createElement('div');
+  messageElement.setAttribute('class', 'report-message');
+  const nameElement = document.createElement('strong');
+  nameElement.textContent = report.message.name + ': ';
+  messageElement.appendChild(nameElement);
+  messageElement.appendChild(document.createTextNode(report.message.text || (report.message.imageUrl ? '(image)' : '')));
+  reportItem.appendChild(messageElement);
+
+  const reasonList = document.createElement('ul');
+  reasonList.setAttribute('class', 'report-reasons');
+  reportDocs.forEach(function(reportDoc) {
+    const reasonItem = document.createElement('li');
+    reasonItem.textContent = reportDoc.get('reason') + ' — ' + reportDoc.get('reporterName');
+    reasonList.appendChild(reasonItem);
+  });
+  reportItem.appendChild(reasonList);
+
+  const actions = document.createElement('div');
+  actions.setAttribute('class', 'report-actions');
+  actions.appendChild(createReportActionButton('Show', function() {
+    showReportedMessage(report);
+  }));
+  actions.appendChild(createReportActionButton('Dismiss', function() {
+    handleReports(reportDocs, 'dismissed');
+  }));
+  actions.appendChild(createReportActionButton('Hide', function() {
+    handleReports(reportDocs, 'hidden');
+  }));
+  actions.appendChild(createReportActionButton('Delete', function() {
+    handleReports(reportDocs, 'deleted');
+  }));
+  const muteButton = createReportActionButton('Mute author', function() {
+    handleReports(reportDocs, 'muted');
+  });
+  // Messages written before the author UID was saved can't be traced back to their author.
+  muteButton.disabled = !report.message.uid;
+  actions.appendChild(muteButton);
+  reportItem.appendChild(actions);
+
+  return reportItem;
+}
+
+// Creates a button of the given label calling the given function when clicked.
+function createReportActionButton(label, onClick) {
+  const button = document.createElement('button');
+  button.textContent = label;
+  button.addEventListener('click', onClick);
+
+  return button;
+}
+
+// Returns the name of the given conversation as shown in the channel and direct message lists.
+function getConversationName(conversationType, conversationId) {
+  if (conversationType === 'dms') {
+    return 'Direct message';
+  }
+  const channelName = channelListElement.querySelector('[data-channel-id="' + conversationId + '"] .channel-name');
+  return channelName ? channelName.textContent : '# ' + conversationId;
+}
+
+// Opens the conversation of the given report and shows the reported message with the messages around it.
+async function showReportedMessage(report) {
+  if (!isCurrentConversation(report.conversationType, report.conversationId)) {
+    selectConversation(report.conversationType, report.conversationId);
+  }
+
+  try {
+    const messageSnap = await getDoc(getMessageRef(report.messageId));
+    if (!messageSnap.exists() || messageSnap.get('trashed')) {
+      alert('This message was deleted');
+      return;
+    }
+    await showMessageInContext(messageSnap);
+  }
+  catch(error) {
+    // Moderators can only read the conversations they are members of.
+    alert('This conversation can\'t be opened: ' + error.message);
+  }
+}
+
+// Hides or deletes the message of the given reports, or mutes its author, then records the outcome
+// in all the given reports of the message so that their reporters see they were handled.
+async function handleReports(reportDocs, status) {
+  if (!checkSignedInWithMessage() || !checkModeratorWithMessage()) {
+    return;
+  }
+
+  const report = reportDocs[0].data();
+  const messageRef = doc(getFirestore(), report.conversationType, report.conversationId, 'messages', report.messageId);
+  try {
+    if (status === 'hidden') {
+      // Same moderation state as the messages hidden by the moderateMessages Cloud Function.
+      await updateDoc(messageRef, {
+        text: deleteField(),
+        hidden: true,
+        moderated: true,
+        moderation: { action: 'hide', matchCount: 0, by: getAuth().currentUser.uid, moderatedAt: serverTimestamp() }
+      });
+    } else if (status === 'deleted') {
+      await trashMessage(messageRef);
+    } else if (status === 'muted') {
+      await sanctionUser(report.message.uid, report.message.name, 'mute', DEFAULT_MUTE_HOURS * 60,
+          'Reported: ' + report.reason);
+    }
+
+    const batch = writeBatch(getFirestore());
+    reportDocs.forEach(function(reportDoc) {
+      batch.update(reportDoc.ref, {
+        status: status,
+        handledBy: getAuth().currentUser.uid,
+        handledByName: getUserName(),
+        handledAt: serverTimestamp()
+      });
+    });
+    await batch.commit();
+  }
+  catch(error) {
+    console.error('Error handling reports of message', report.messageId, error);
+    alert('The report could not be handled: ' + error.message);
+  }
+}
+
+// Number of audit log entries loaded at a time.
+var AUDIT_PAGE_SIZE = 50;
+
+// How the actions recorded in the audit log are described.
+var AUDIT_ACTIONS = {
+  trash: 'trashed',
+  restore: 'restored',
+  purge: 'purged',
+  delete: 'deleted',
+  blur: 'blurred',
+  hide: 'hid',
+  mask: 'masked',
+  flag: 'flagged',
+  edit: 'edited',
+};
+
+// Value of the actor filter selecting the actions of Cloud Functions, like automatic moderation or the
+// trash purge, which have no actor UID.
+var AUTOMATIC_ACTOR = 'automatic';
+
+// The last displayed entry of the audit log, after which the next page is loaded.
+let lastAuditEntry = null;
+
+// Opens the panel of the audit log, written by Cloud Functions, with its latest entries.
+function openAuditLog() {
+  if (!checkSignedInWithMessage()) {
+    return;
+  }
+  if (!isAdmin()) {
+    var data = {
+      message: 'Only admins can do this',
+      timeout: 2000,
+    };
+    signInSnackbarElement.MaterialSnackbar.showSnackbar(data);
+    return;
+  }
+
+  closeThread();
+  closeReportQueue();
+  closeTrash();
+  auditCardElement.removeAttribute('hidden');
+  displayMessagesCardWidth();
+
+  displayAuditActors();
+  loadAuditEntries(false);
+}
+
+// Closes the panel of the audit log.
+function closeAuditLog() {
+  auditCardElement.setAttribute('hidden', 'true');
+  auditListElement.innerHTML = '';
+  lastAuditEntry = null;
+  displayMessagesCardWidth();
+}
 
-    // We save the Firebase Messaging Device token and enable notifications.
-    saveMessagingDeviceToken();
-  } else {
-    // User is signed out!
-    // Hide user's profile and sign-out button.
-    userNameElement.setAttribute('hidden', 'true');
-    userPicElement.setAttribute('hidden', 'true');
-    signOutButtonElement.setAttribute('hidden', 'true');
+// Loads the entries of the audit log matching the filters, newest first, or the next page of them.
+async function loadAuditEntries(loadMore) {
+  const constraints = [];
+  if (auditActionElement.value) {
+    constraints.push(where('action', '==', auditActionElement.value));
+  }
+  if (auditActorElement.value === AUTOMATIC_ACTOR) {
+    constraints.push(where('actorUid', '==', null));
+  } else if (auditActorElement.value) {
+    constraints.push(where('actorUid', '==', auditActorElement.value));
+  }
+  if (auditFromElement.value) {
+    constraints.push(where('createdAt', '>=', Timestamp.fromDate(new Date(auditFromElement.value + 'T00:00'))));
+  }
+  if (auditToElement.value) {
+    // The end date is included in the range.
+    const end = new Date(auditToElement.value + 'T00:00');
+    end.setDate(end.getDate() + 1);
+    constraints.push(where('createdAt', '<', Timestamp.fromDate(end)));
+  }
+  constraints.push(orderBy('createdAt', 'desc'));
+  if (loadMore && lastAuditEntry) {
+    constraints.push(startAfter(lastAuditEntry));
+  }
 
-    // Show sign-in button.
-    signInButtonGoogle.removeAttribute('hidden');
-    signInButtonFacebook.removeAttribute('hidden');
+  try {
+    const querySnapshot = await getDocs(query(collection(getFirestore(), 'auditLog'), ...constraints,
+        limit(AUDIT_PAGE_SIZE)));
+    if (!loadMore) {
+      auditListElement.innerHTML = '';
+    }
+    querySnapshot.forEach(function(entryDoc) {
+      auditListElement.appendChild(createAuditEntryItem(entryDoc.data()));
+    });
+    if (!loadMore && querySnapshot.empty) {
+      const emptyItem = document.createElement('li');
+      emptyItem.setAttribute('class', 'audit-entry');
+      emptyItem.textContent = 'No audit entries found';
+      auditListElement.appendChild(emptyItem);
+    }
+
+    lastAuditEntry = querySnapshot.docs[querySnapshot.docs.length - 1] || lastAuditEntry;
+    auditLoadMoreButtonElement.hidden = querySnapshot.size < AUDIT_PAGE_SIZE;
+  }
+  catch(error) {
+    console.error('Error loading the audit log', error);
   }
 }
 
-// Returns true if user is signed-in. Otherwise false and displays a message.
-function checkSignedInWithMessage() {
-  // Return true if the user is signed in Firebase
-  if (isUserSignedIn()) {
-    return true;
-  }
+// Filters the audit log on submit of the filter form.
+function onAuditFormSubmit(event) {
+  event.preventDefault();
+  loadAuditEntries(false);
+}
 
-  // Display a message to the user using a Toast.
-  var data = {
-    message: 'You must sign-in first',
-    timeout: 2000,
-  };
-  signInSnackbarElement.MaterialSnackbar.showSnackbar(data);
-  return false;
+// Creates the list entry of the given audit log entry: when, who, what and where, and the content
+// the message had before.
+function createAuditEntryItem(entry) {
+  const entryItem = document.createElement('li');
+  entryItem.setAttribute('class', 'audit-entry');
+
+  const summaryElement = document.createElement('div');
+  summaryElement.setAttribute('class', 'audit-entry-summary');
+  summaryElement.textContent = (entry.createdAt ? entry.createdAt.toDate().toLocaleString() + ' · ' : '') +
+      entry.actorName + ' ' + (AUDIT_ACTIONS[entry.action] || entry.action) +
+      (entry.replyId ? ' a thread reply by ' : ' a message by ') +
+      (entry.snapshot.name || 'Anonymous') + ' in ' + getConversationName(entry.conversationType, entry.conversationId);
+  entryItem.appendChild(summaryElement);
+
+  const snapshotElement = document.createElement('div');
+  snapshotElement.setAttribute('class', 'audit-entry-snapshot');
+  const snapshot = entry.snapshot;
+  snapshotElement.textContent = snapshot.text || snapshot.fileName || (snapshot.audioUrl ? 'Voice message' :
+      snapshot.imageUrl ? 'Image: ' + snapshot.imageUrl : '');
+  entryItem.appendChild(snapshotElement);
+
+  return entryItem;
+}
+
+// Fills the actor filter of the audit log with the automatic actions and the known users.
+function displayAuditActors() {
+  const selectedUid = auditActorElement.value;
+  auditActorElement.innerHTML = '';
+
+  const anyActorOption = document.createElement('option');
+  anyActorOption.value = '';
+  anyActorOption.textContent = 'Anybody';
+  auditActorElement.appendChild(anyActorOption);
+
+  const automaticOption = document.createElement('option');
+  automaticOption.value = AUTOMATIC_ACTOR;
+  automaticOption.textContent = 'Automatic actions';
+  auditActorElement.appendChild(automaticOption);
+
+  Object.keys(knownUsers).sort(function(a, b) {
+    return (knownUsers[a].name || '').localeCompare(knownUsers[b].name || '');
+  }).forEach(function(uid) {
+    const actorOption = document.createElement('option');
+    actorOption.value = uid;
+    actorOption.textContent = knownUsers[uid].name || 'Anonymous';
+    auditActorElement.appendChild(actorOption);
+  });
+  auditActorElement.value = selectedUid;
 }
 
 // Resets the given MaterialTextField.
@@ -807,23 +3427,584 @@ function createFavoriteButton(messageId) {
   return favoriteButton;
 }
 
+// Emojis offered by the reaction picker.
+var REACTION_EMOJIS = ['👍', '❤️', '😂', '🎉', '😮', '😢'];
+
+// Creates the bar holding the grouped reactions of the given message, the
+// button opening the reaction picker and the picker itself.
+function createReactionBar(messageId) {
+  const reactionBar = document.createElement('div');
+  reactionBar.setAttribute('class', 'reaction-bar');
+
+  const reactionList = document.createElement('span');
+  reactionList.setAttribute('class', 'reaction-list');
+  reactionBar.appendChild(reactionList);
+
+  const addReactionButton = document.createElement('button');
+  addReactionButton.setAttribute('title', 'Add reaction');
+  addReactionButton.setAttribute('class', 'add-reaction bi bi-emoji-smile');
+  addReactionButton.addEventListener('click', toggleReactionPicker);
+  reactionBar.appendChild(addReactionButton);
+
+  const reactionPicker = document.createElement('span');
+  reactionPicker.setAttribute('class', 'reaction-picker');
+  reactionPicker.setAttribute('hidden', 'true');
+  REACTION_EMOJIS.forEach(function(emoji) {
+    reactionPicker.appendChild(createReactionButton(messageId, emoji, emoji));
+  });
+  reactionBar.appendChild(reactionPicker);
+
+  return reactionBar;
+}
+
+// Creates a button toggling the given emoji reaction of the signed-in user on the given message.
+function createReactionButton(messageId, emoji, label) {
+  const reactionButton = document.createElement('button');
+  reactionButton.setAttribute('data-message-id', messageId);
+  reactionButton.setAttribute('data-emoji', emoji);
+  reactionButton.textContent = label;
+  reactionButton.addEventListener('click', onReactionClick);
+
+  return reactionButton;
+}
+
+// Shows or hides the reaction picker next to the clicked button.
+function toggleReactionPicker(event) {
+  const reactionPicker = event.currentTarget.nextSibling;
+  if (reactionPicker.hasAttribute('hidden')) {
+    reactionPicker.removeAttribute('hidden');
+  } else {
+    reactionPicker.setAttribute('hidden', 'true');
+  }
+}
+
+// Triggered when a reaction of a message or an emoji of the reaction picker is clicked.
+function onReactionClick(event) {
+  const reactionButton = event.currentTarget;
+  reactionButton.closest('.reaction-bar').querySelector('.reaction-picker').setAttribute('hidden', 'true');
+  toggleReaction(reactionButton.dataset.messageId, reactionButton.dataset.emoji);
+}
+
+// Adds the given emoji reaction of the signed-in user to the given message, or removes it if
+// it was already there. Reactions are stored per UID, as `reactions.<uid> = {name, emojis}`,
+// and toggled in a transaction so concurrent reactions don't overwrite each other.
+async function toggleReaction(messageId, emoji) {
+  if (!checkSignedInWithMessage()) {
+    return;
+  }
+
+  const uid = getAuth().currentUser.uid;
+  const messageRef = getMessageRef(messageId);
+
+  try {
+    await runTransaction(getFirestore(), async function(transaction) {
+      const messageSnap = await transaction.get(messageRef);
+      const ownReaction = (messageSnap.data().reactions || {})[uid];
+      const emojis = ownReaction ? ownReaction.emojis.slice() : [];
+
+      const emojiIndex = emojis.indexOf(emoji);
+      if (emojiIndex === -1) {
+        emojis.push(emoji);
+      } else {
+        emojis.splice(emojiIndex, 1);
+      }
+
+      transaction.update(messageRef, new FieldPath('reactions', uid),
+          emojis.length > 0 ? { name: getUserName(), emojis: emojis } : deleteField());
+    });
+  }
+  catch(error) {
+    console.error('Error toggling reaction', emoji, 'on message', messageId, error);
+  }
+}
+
+// Displays the reactions of a message grouped by emoji, with the count of users and their names on hover.
+function displayReactions(div, messageId, reactions) {
+  const uid = isUserSignedIn() ? getAuth().currentUser.uid : null;
+  const reactionGroups = {};
+
+  Object.keys(reactions).forEach(function(reactionUid) {
+    reactions[reactionUid].emojis.forEach(function(emoji) {
+      reactionGroups[emoji] = reactionGroups[emoji] || { names: [], own: false };
+      reactionGroups[emoji].names.push(reactions[reactionUid].name);
+      reactionGroups[emoji].own = reactionGroups[emoji].own || reactionUid === uid;
+    });
+  });
+
+  const reactionList = div.querySelector('.reaction-list');
+  reactionList.innerHTML = '';
+  Object.keys(reactionGroups).forEach(function(emoji) {
+    const group = reactionGroups[emoji];
+    const reactionButton = createReactionButton(messageId, emoji, emoji + ' ' + group.names.length);
+    reactionButton.setAttribute('title', group.names.join(', '));
+    reactionButton.setAttribute('class', group.own ? 'reaction own' : 'reaction');
+    reactionList.appendChild(reactionButton);
+  });
+}
+
+// Creates the edit button of the given message. It stays hidden unless the
+// signed-in user is the author of the message.
+function createEditButton(messageId) {
+  const editButton = document.createElement('button');
+  editButton.setAttribute('title', 'Edit message');
+  editButton.setAttribute('data-message-id', messageId);
+  editButton.setAttribute('class', 'edit-button bi bi-pencil');
+  editButton.setAttribute('hidden', 'true');
+  editButton.addEventListener('click', editMessage);
+
+  return editButton;
+}
+
+// Creates the "(edited)" marker of the given message. Clicking it shows the edit history.
+function createEditedMarker(messageId) {
+  const editedMarker = document.createElement('span');
+  editedMarker.setAttribute('class', 'edited-marker');
+  editedMarker.setAttribute('data-message-id', messageId);
+  editedMarker.setAttribute('title', 'Show edit history');
+  editedMarker.setAttribute('hidden', 'true');
+  editedMarker.textContent = '(edited)';
+  editedMarker.addEventListener('click', showEditHistory);
+
+  return editedMarker;
+}
+
+// Replaces the text of the message whose edit button was clicked.
+// The previous text is kept in the revisions of the message by the recordMessageRevisions Cloud Function.
+async function editMessage(event) {
+  if (!checkSignedInWithMessage()) {
+    return;
+  }
+
+  const messageId = event.currentTarget.dataset.messageId;
+  const messageRef = getMessageRef(messageId);
+  const messageSnap = await getDoc(messageRef);
+
+  const newText = prompt('Edit your message:', messageSnap.data().text);
+  if (!newText || !newText.trim() || newText === messageSnap.data().text) {
+    return;
+  }
+
+  try {
+    await updateDoc(messageRef, {
+      text: newText,
+      mentions: getMentionedUids(newText),
+      edited: true,
+      editedAt: serverTimestamp()
+    });
+  }
+  catch(error) {
+    console.error('Error editing message', messageId, error);
+  }
+}
+
+// Shows the previous texts of the message whose "(edited)" marker was clicked.
+// Only moderators can read the revisions of a message.
+async function showEditHistory(event) {
+  if (!checkSignedInWithMessage()) {
+    return;
+  }
+
+  const messageId = event.currentTarget.dataset.messageId;
+  const revisionsQuery = query(collection(getMessageRef(messageId), 'revisions'), orderBy('editedAt'));
+
+  try {
+    const querySnapshot = await getDocs(revisionsQuery);
+    const revisions = querySnapshot.docs.map(function(revisionDoc) {
+      return revisionDoc.data().editedAt.toDate().toLocaleString() + ': ' + revisionDoc.data().text;
+    });
+    alert('Previous versions of the message:\n\n' + revisions.join('\n'));
+  }
+  catch(error) {
+    var data = {
+      message: 'Only moderators can see the edit history',
+      timeout: 2000,
+    };
+    signInSnackbarElement.MaterialSnackbar.showSnackbar(data);
+  }
+}
+
+// Number of results shown by a search, which is also the number of messages fetched at a time to find them.
+var SEARCH_RESULTS_LIMIT = 50;
+
+// Maximum number of messages a search reads to match its extra words, so a common word doesn't read
+// the whole conversation. Matches older than that aren't found.
+var SEARCH_MAX_SCANNED_MESSAGES = 1000;
+
+// Splits the given text in the lowercase words, without diacritics, used as search tokens.
+// Must match the tokenizer of the indexMessageSearchTokens Cloud Function.
+function getSearchTokens(text) {
+  const words = (text || '').normalize('NFD').replace(/[\u0300-\u036f]/g, '').toLowerCase().split(/[^a-z0-9]+/);
+  return Array.from(new Set(words.filter(Boolean)));
+}
+
+// Searches the messages of the current conversation matching the words and the filters of the search form.
+// The longest word, usually the rarest, and the filters are matched by Cloud Firestore, using the search tokens
+// maintained by the indexMessageSearchTokens Cloud Function. The other words are matched here, reading more
+// messages until enough of them match, up to SEARCH_MAX_SCANNED_MESSAGES.
+async function searchMessages(event) {
+  event.preventDefault();
+  if (!checkSignedInWithMessage()) {
+    return;
+  }
+
+  const words = getSearchTokens(searchInputElement.value);
+  const constraints = [];
+  const queryWord = words.reduce(function(longestWord, word) {
+    return word.length > longestWord.length ? word : longestWord;
+  }, '');
+  if (queryWord) {
+    constraints.push(where('searchTokens', 'array-contains', queryWord));
+  }
+  if (searchAuthorElement.value) {
+    constraints.push(where('uid', '==', searchAuthorElement.value));
+  }
+  if (searchHasImageElement.checked) {
+    constraints.push(where('hasImage', '==', true));
+  }
+  if (searchFavoriteElement.checked) {
+    constraints.push(where('favorite', '==', true));
+  }
+  if (searchFromElement.value) {
+    constraints.push(where('timestamp', '>=', Timestamp.fromDate(new Date(searchFromElement.value + 'T00:00'))));
+  }
+  if (searchToElement.value) {
+    // The end date is included in the range.
+    const end = new Date(searchToElement.value + 'T00:00');
+    end.setDate(end.getDate() + 1);
+    constraints.push(where('timestamp', '<', Timestamp.fromDate(end)));
+  }
+
+  if (constraints.length === 0) {
+    searchResultsElement.innerHTML = '';
+    return;
+  }
+
+  try {
+    const searchQuery = query(getMessagesCollection(), ...constraints,
+        orderBy('timestamp', 'desc'), limit(SEARCH_RESULTS_LIMIT));
+    const results = [];
+    let scannedMessages = 0;
+    let querySnapshot = null;
+    do {
+      const lastMessageDoc = querySnapshot && querySnapshot.docs[querySnapshot.docs.length - 1];
+      querySnapshot = await getDocs(lastMessageDoc ? query(searchQuery, startAfter(lastMessageDoc)) : searchQuery);
+      scannedMessages += querySnapshot.size;
+      querySnapshot.forEach(function(messageDoc) {
+        const tokens = messageDoc.data().searchTokens || [];
+        if (results.length < SEARCH_RESULTS_LIMIT && !messageDoc.data().trashed && words.every(function(word) {
+          return tokens.includes(word);
+        })) {
+          results.push(messageDoc);
+        }
+      });
+    } while (results.length < SEARCH_RESULTS_LIMIT && querySnapshot.size === SEARCH_RESULTS_LIMIT
+        && scannedMessages < SEARCH_MAX_SCANNED_MESSAGES);
+    displaySearchResults(results);
+  }
+  catch(error) {
+    console.error('Error searching messages', error);
+  }
+}
+
+// Displays the given message documents as clickable search results.
+function displaySearchResults(results) {
+  searchResultsElement.innerHTML = '';
+
+  if (results.length === 0) {
+    const emptyItem = document.createElement('li');
+    emptyItem.setAttribute('class', 'search-result empty');
+    emptyItem.textContent = 'No messages found';
+    searchResultsElement.appendChild(emptyItem);
+    return;
+  }
+
+  results.forEach(function(messageDoc) {
+    const message = messageDoc.data();
+    const resultItem = document.createElement('li');
+    resultItem.setAttribute('class', 'search-result');
+    resultItem.addEventListener('click', function() {
+      showMessageInContext(messageDoc);
+    });
+
+    const nameElement = document.createElement('div');
+    nameElement.setAttribute('class', 'search-result-name');
+    nameElement.textContent = message.name +
+        (message.timestamp ? ' · ' + message.timestamp.toDate().toLocaleString() : '');
+    resultItem.appendChild(nameElement);
+
+    const textElement = document.createElement('div');
+    textElement.setAttribute('class', 'search-result-text');
+    textElement.textContent = message.text || message.fileName || (message.audioUrl ? 'Voice message' : 'Image');
+    resultItem.appendChild(textElement);
+
+    searchResultsElement.appendChild(resultItem);
+  });
+}
+
+// Number of messages loaded before and after a search result to show it in context.
+var SEARCH_CONTEXT_SIZE = 2;
+
+// Scrolls to the given message, loading it with the messages around it if it isn't in the message list yet.
+async function showMessageInContext(messageDoc) {
+  if (!document.getElementById(messageDoc.id)) {
+    try {
+      const [previousSnapshot, nextSnapshot] = await Promise.all([
+        getDocs(query(getMessagesCollection(), orderBy('timestamp', 'desc'), startAt(messageDoc),
+            limit(SEARCH_CONTEXT_SIZE + 1))),
+        getDocs(query(getMessagesCollection(), orderBy('timestamp'), startAfter(messageDoc),
+            limit(SEARCH_CONTEXT_SIZE))),
+      ]);
+      previousSnapshot.docs.concat(nextSnapshot.docs).forEach(function(contextDoc) {
+        displayMessage(contextDoc.id, contextDoc.data());
+      });
+    }
+    catch(error) {
+      console.error('Error loading message', messageDoc.id, error);
+      return;
+    }
+  }
+
+  const messageElement = document.getElementById(messageDoc.id);
+  messageElement.scrollIntoView({ behavior: 'smooth', block: 'center' });
+  messageElement.classList.add('highlighted');
+  setTimeout(function() {
+    messageElement.classList.remove('highlighted');
+  }, 2000);
+}
+
+// Fills the author filter of the search form with the known users.
+function displaySearchAuthors() {
+  const selectedUid = searchAuthorElement.value;
+  searchAuthorElement.innerHTML = '';
+
+  const anyAuthorOption = document.createElement('option');
+  anyAuthorOption.value = '';
+  anyAuthorOption.textContent = 'Any author';
+  searchAuthorElement.appendChild(anyAuthorOption);
+
+  Object.keys(knownUsers).sort(function(a, b) {
+    return (knownUsers[a].name || '').localeCompare(knownUsers[b].name || '');
+  }).forEach(function(uid) {
+    const authorOption = document.createElement('option');
+    authorOption.value = uid;
+    authorOption.textContent = knownUsers[uid].name || 'Anonymous';
+    searchAuthorElement.appendChild(authorOption);
+  });
+  searchAuthorElement.value = selectedUid;
+}
+
+// Exports the messages of the current conversation in the range and the format of the export form,
+// using the exportMessages Cloud Function. Small exports are returned inline and saved from here, and
+// larger ones are downloaded from Cloud Storage.
+async function exportConversation(event) {
+  event.preventDefault();
+  if (!checkSignedInWithMessage()) {
+    return;
+  }
+
+  const data = {
+    conversationType: currentConversation.collection,
+    conversationId: currentConversation.id,
+    format: exportFormatElement.value,
+    favoritesOnly: exportFavoriteElement.checked,
+  };
+  if (exportFromElement.value) {
+    data.from = new Date(exportFromElement.value + 'T00:00').getTime();
+  }
+  if (exportToElement.value) {
+    // The end date is included in the range.
+    const end = new Date(exportToElement.value + 'T00:00');
+    end.setDate(end.getDate() + 1);
+    data.to = end.getTime();
+  }
+
+  exportSubmitButtonElement.setAttribute('disabled', 'true');
+  try {
+    const result = (await httpsCallable(getFunctions(), 'exportMessages')(data)).data;
+    const url = result.url || URL.createObjectURL(new Blob([result.content], { type: result.contentType }));
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = result.fileName;
+    link.click();
+    if (!result.url) {
+      setTimeout(function() {
+        URL.revokeObjectURL(url);
+      }, 0);
+    }
+
+    signInSnackbarElement.MaterialSnackbar.showSnackbar({
+      message: result.messageCount + ' messages exported',
+      timeout: 2000
+    });
+  }
+  catch(error) {
+    alert('The conversation could not be exported: ' + error.message);
+  }
+  exportSubmitButtonElement.removeAttribute('disabled');
+}
+
+// Creates the notice of a moderated message. It stays hidden until the message gets moderated.
+function createModerationNotice() {
+  const notice = document.createElement('div');
+  notice.setAttribute('class', 'moderation-notice');
+  notice.setAttribute('hidden', 'true');
+
+  return notice;
+}
+
+// Shows why the given message was moderated: its text was masked, flagged or hidden, or its image blurred.
+function displayModerationNotice(div, message) {
+  const notice = div.querySelector('.moderation-notice');
+  div.querySelector('.message').classList.remove('hidden-by-moderation');
+  if (!message.moderated) {
+    notice.setAttribute('hidden', 'true');
+    return;
+  }
+
+  const action = message.moderation ? message.moderation.action : null;
+  if (message.hidden || action === 'hide') {
+    // Hidden messages have no text left to display.
+    const messageElement = div.querySelector('.message');
+    messageElement.textContent = 'This message was hidden by moderation.';
+    messageElement.classList.add('hidden-by-moderation');
+    notice.setAttribute('hidden', 'true');
+    return;
+  }
+
+  if (action === 'mask') {
+    notice.textContent = 'Some words were masked by moderation';
+  } else if (action === 'flag') {
+    notice.textContent = 'This message was flagged by moderation';
+  } else {
+    notice.textContent = 'This image was blurred by moderation';
+  }
+  notice.removeAttribute('hidden');
+}
+
+// Creates the card previewing the first link of a message. It stays hidden until the message gets a preview.
+function createLinkPreviewCard() {
+  const card = document.createElement('a');
+  card.setAttribute('class', 'link-preview');
+  card.setAttribute('target', '_blank');
+  card.setAttribute('rel', 'noopener noreferrer');
+  card.setAttribute('hidden', 'true');
+
+  const thumbnail = document.createElement('img');
+  thumbnail.setAttribute('class', 'link-preview-thumbnail');
+  thumbnail.setAttribute('alt', '');
+  thumbnail.setAttribute('loading', 'lazy');
+  card.appendChild(thumbnail);
+
+  const details = document.createElement('div');
+  details.setAttribute('class', 'link-preview-details');
+  ['link-preview-title', 'link-preview-description', 'link-preview-host'].forEach(function(className) {
+    const detail = document.createElement('div');
+    detail.setAttribute('class', className);
+    details.appendChild(detail);
+  });
+  card.appendChild(details);
+
+  return card;
+}
+
+// Fills the given link preview card with the title, description and thumbnail of the given preview.
+function displayLinkPreview(card, linkPreview) {
+  if (!linkPreview || !/^https?:\/\//.test(linkPreview.url)) {
+    card.setAttribute('hidden', 'true');
+    return;
+  }
+
+  card.href = linkPreview.url;
+  card.querySelector('.link-preview-title').textContent = linkPreview.title || '';
+  card.querySelector('.link-preview-description').textContent = linkPreview.description || '';
+  card.querySelector('.link-preview-host').textContent = new URL(linkPreview.url).hostname;
+
+  const thumbnail = card.querySelector('.link-preview-thumbnail');
+  if (linkPreview.imageUrl && /^https?:\/\//.test(linkPreview.imageUrl)) {
+    thumbnail.src = linkPreview.imageUrl;
+    thumbnail.removeAttribute('hidden');
+  } else {
+    thumbnail.removeAttribute('src');
+    thumbnail.setAttribute('hidden', 'true');
+  }
+  card.removeAttribute('hidden');
+}
+
+// Creates the "Reply in thread" button of the given message.
+function createReplyButton(messageId) {
+  const replyButton = document.createElement('button');
+  replyButton.setAttribute('title', 'Reply in thread');
+  replyButton.setAttribute('data-message-id', messageId);
+  replyButton.setAttribute('class', 'reply-button bi bi-reply');
+  replyButton.addEventListener('click', openThread);
+
+  return replyButton;
+}
+
+// Creates the element showing the reply count and the last reply time of the given message.
+// It stays hidden until the message gets its first reply.
+function createThreadSummary(messageId) {
+  const threadSummary = document.createElement('div');
+  threadSummary.setAttribute('class', 'thread-summary');
+  threadSummary.setAttribute('data-message-id', messageId);
+  threadSummary.setAttribute('hidden', 'true');
+  threadSummary.addEventListener('click', openThread);
+
+  return threadSummary;
+}
+
 function createAndInsertMessage(id, timestamp) {
   const container = document.createElement('div');
   container.innerHTML = MESSAGE_TEMPLATE;
   const div = container.firstChild;
   div.setAttribute('id', id);
 
+  // Clicking the author's name or picture opens a direct message with them.
+  div.querySelector('.pic').addEventListener('click', onMessageAuthorClick);
+  div.querySelector('.name').addEventListener('click', onMessageAuthorClick);
+
   // Crea y añade un boton de eliminacion para cada mensaje ingresado
   div.appendChild(createDeleteButton(id));
 
   // Crea y añade un boton de destacar mensaje para cada mensaje ingresado
   div.appendChild(createFavoriteButton(id));
 
+  // Adds the "Reply in thread" button and the summary of the thread of the message.
+  div.appendChild(createReplyButton(id));
+  div.appendChild(createThreadSummary(id));
+
+  // Adds the emoji reactions of the message and the picker to add new ones.
+  div.appendChild(createReactionBar(id));
+
+  // Adds the edit button, only shown to the author, and the "(edited)" marker.
+  div.appendChild(createEditButton(id));
+  div.appendChild(createEditedMarker(id));
+
+  // Adds the card previewing the first link of the message.
+  div.appendChild(createLinkPreviewCard());
+
+  // Adds the notice shown when the message was moderated.
+  div.appendChild(createModerationNotice());
+
+  // Adds the button moderators use to sanction the author of the message.
+  div.appendChild(createSanctionButton(id));
+
+  // Adds the button used to report the message to moderators.
+  div.appendChild(createReportButton(id));
+
   // If timestamp is null, assume we've gotten a brand new message.
   // https://stackoverflow.com/a/47781432/4816918
   timestamp = timestamp ? timestamp.toMillis() : Date.now();
   div.setAttribute('timestamp', timestamp);
 
+  insertInMessageList(div, timestamp);
+
+  return div;
+}
+
+// Inserts the given element in the message list, keeping the list ordered by the
+// 'timestamp' attribute every element of the list has.
+function insertInMessageList(div, timestamp) {
   // figure out where to insert new message
   const existingMessages = messageListElement.children;
   if (existingMessages.length === 0) {
@@ -849,12 +4030,19 @@ function createAndInsertMessage(id, timestamp) {
 
     messageListElement.insertBefore(div, messageListNode);
   }
-
-  return div;
 }
 
 // Displays a Message in the UI.
-function displayMessage(id, timestamp, name, text, picUrl, imageUrl, favorite) {
+// The given message is the data of its Cloud Firestore document.
+function displayMessage(id, message) {
+  const { timestamp, name, text, profilePicUrl: picUrl, imageUrl, favorite } = message;
+
+  // Trashed messages are only listed in the trash.
+  if (message.trashed) {
+    deleteMessage(id);
+    return;
+  }
+
   var div =
     document.getElementById(id) || createAndInsertMessage(id, timestamp);
 
@@ -867,11 +4055,21 @@ function displayMessage(id, timestamp, name, text, picUrl, imageUrl, favorite) {
   div.querySelector('.name').textContent = name;
   var messageElement = div.querySelector('.message');
 
+  // The author's name and picture start a direct message with them.
+  if (message.uid) {
+    div.setAttribute('data-uid', message.uid);
+    div.setAttribute('data-profile-pic-url', picUrl || '');
+    div.classList.toggle('dm-link', isUserSignedIn() && message.uid !== getAuth().currentUser.uid);
+    displayAuthorPresence(div);
+  }
+  displayDeleteButton(div);
+
   if (text) {
     // If the message is text.
-    messageElement.textContent = text;
-    // Replace all line breaks by <br>.
-    messageElement.innerHTML = messageElement.innerHTML.replace(/\n/g, '<br>');
+    displayMessageText(messageElement, text, message.mentions);
+  } else if (imageUrl && message.imageVariants) {
+    // If the message is an image with resized variants.
+    displayResponsiveImage(messageElement, imageUrl, message.imageVariants);
   } else if (imageUrl) {
     // If the message is an image.
     var image = document.createElement('img');
@@ -881,7 +4079,39 @@ function displayMessage(id, timestamp, name, text, picUrl, imageUrl, favorite) {
     image.src = imageUrl + '&' + new Date().getTime();
     messageElement.innerHTML = '';
     messageElement.appendChild(image);
+  } else if (message.fileUrl) {
+    // If the message is a file attachment.
+    displayFileAttachment(messageElement, message);
+  } else if (message.audioUrl) {
+    // If the message is a voice message.
+    displayVoiceMessage(messageElement, message);
+  }
+  displayReactions(div, id, message.reactions || {});
+
+  // Only the author of a text message can edit it.
+  if (text && message.uid && isUserSignedIn() && message.uid === getAuth().currentUser.uid) {
+    div.querySelector('.edit-button').removeAttribute('hidden');
+  }
+  if (message.edited) {
+    div.querySelector('.edited-marker').removeAttribute('hidden');
+  }
+
+  // Messages are moderated by the moderateMessages and blurOffensiveImages Cloud Functions.
+  displayModerationNotice(div, message);
+
+  // The link preview is stored by the generateLinkPreviews Cloud Function.
+  displayLinkPreview(div.querySelector('.link-preview'), message.linkPreview);
+
+  // The reply count and last reply time are kept up to date by the updateThreadSummaries Cloud Function.
+  if (message.replyCount) {
+    const threadSummary = div.querySelector('.thread-summary');
+    threadSummary.textContent = message.replyCount + (message.replyCount === 1 ? ' reply' : ' replies');
+    if (message.lastReplyAt) {
+      threadSummary.textContent += ' · last reply ' + message.lastReplyAt.toDate().toLocaleString();
+    }
+    threadSummary.removeAttribute('hidden');
   }
+
   // Show the card fading-in and scroll to view the new message.
   setTimeout(function () {
     div.classList.add('visible');
@@ -902,9 +4132,9 @@ function displayMessage(id, timestamp, name, text, picUrl, imageUrl, favorite) {
 }
 
 // Enables or disables the submit button depending on the values of the input
-// fields.
+// fields, whether the user is sanctioned and whether they are throttled.
 function toggleButton() {
-  if (messageInputElement.value) {
+  if (messageInputElement.value && !isActiveSanction(currentSanction) && getRateLimitWait() === 0) {
     submitButtonElement.removeAttribute('disabled');
   } else {
     submitButtonElement.setAttribute('disabled', 'true');
@@ -919,12 +4149,75 @@ var submitButtonElement = document.getElementById('submit');
 var imageButtonElement = document.getElementById('submitImage');
 var imageFormElement = document.getElementById('image-form');
 var mediaCaptureElement = document.getElementById('mediaCapture');
+var recordVoiceButtonElement = document.getElementById('record-voice');
 var userPicElement = document.getElementById('user-pic');
 var userNameElement = document.getElementById('user-name');
 var signInButtonGoogle = document.getElementById('sign-in-google');
 var signInButtonFacebook = document.getElementById('sign-in-facebook');
 var signOutButtonElement = document.getElementById('sign-out');
 var signInSnackbarElement = document.getElementById('must-signin-snackbar');
+var channelListElement = document.getElementById('channel-list');
+var directMessageListElement = document.getElementById('direct-message-list');
+var onlineUserListElement = document.getElementById('online-user-list');
+var createChannelButtonElement = document.getElementById('create-channel');
+var messagesCardElement = document.getElementById('messages-card');
+var typingIndicatorElement = document.getElementById('typing-indicator');
+var sanctionNoticeElement = document.getElementById('sanction-notice');
+var mentionSuggestionsElement = document.getElementById('mention-suggestions');
+var messagePreviewElement = document.getElementById('message-preview');
+var searchFormElement = document.getElementById('search-form');
+var searchInputElement = document.getElementById('search-input');
+var searchAuthorElement = document.getElementById('search-author');
+var searchFromElement = document.getElementById('search-from');
+var searchToElement = document.getElementById('search-to');
+var searchHasImageElement = document.getElementById('search-has-image');
+var searchFavoriteElement = document.getElementById('search-favorite');
+var searchResultsElement = document.getElementById('search-results');
+var exportFormElement = document.getElementById('export-form');
+var exportFormatElement = document.getElementById('export-format');
+var exportFromElement = document.getElementById('export-from');
+var exportToElement = document.getElementById('export-to');
+var exportFavoriteElement = document.getElementById('export-favorite');
+var exportSubmitButtonElement = document.getElementById('export-submit');
+var threadCardElement = document.getElementById('thread-card');
+var threadParentElement = document.getElementById('thread-parent');
+var threadRepliesElement = document.getElementById('thread-replies');
+var replyFormElement = document.getElementById('reply-form');
+var replyInputElement = document.getElementById('reply');
+var submitReplyButtonElement = document.getElementById('submit-reply');
+var closeThreadButtonElement = document.getElementById('close-thread');
+var reportsCardElement = document.getElementById('reports-card');
+var reportListElement = document.getElementById('report-list');
+var reportCountElement = document.getElementById('report-count');
+var closeReportsButtonElement = document.getElementById('close-reports');
+var auditCardElement = document.getElementById('audit-card');
+var auditFormElement = document.getElementById('audit-form');
+var auditActionElement = document.getElementById('audit-action');
+var auditActorElement = document.getElementById('audit-actor');
+var auditFromElement = document.getElementById('audit-from');
+var auditToElement = document.getElementById('audit-to');
+var auditListElement = document.getElementById('audit-list');
+var auditLoadMoreButtonElement = document.getElementById('audit-load-more');
+var closeAuditButtonElement = document.getElementById('close-audit');
+var trashCardElement = document.getElementById('trash-card');
+var trashListElement = document.getElementById('trash-list');
+var openTrashButtonElement = document.getElementById('open-trash');
+var closeTrashButtonElement = document.getElementById('close-trash');
+replyFormElement.addEventListener('submit', onReplyFormSubmit);
+searchFormElement.addEventListener('submit', searchMessages);
+exportFormElement.addEventListener('submit', exportConversation);
+replyInputElement.addEventListener('keyup', toggleReplyButton);
+replyInputElement.addEventListener('change', toggleReplyButton);
+closeThreadButtonElement.addEventListener('click', closeThread);
+closeReportsButtonElement.addEventListener('click', closeReportQueue);
+closeAuditButtonElement.addEventListener('click', closeAuditLog);
+openTrashButtonElement.addEventListener('click', openTrash);
+closeTrashButtonElement.addEventListener('click', closeTrash);
+auditFormElement.addEventListener('submit', onAuditFormSubmit);
+auditLoadMoreButtonElement.addEventListener('click', function() {
+  loadAuditEntries(true);
+});
+createChannelButtonElement.addEventListener('click', createChannel);
 
 var loadButtonElement = document.getElementById('load-five-messages');
 loadButtonElement.addEventListener('click', loadPreviousFiveMessages);
@@ -938,15 +4231,51 @@ favoritesButtonElement.addEventListener('click', displayMessages);
 var deleteNonFavoriteButton = document.getElementById('delete-non-favorite-messages');
 deleteNonFavoriteButton.addEventListener('click', deleteAllExceptFavorites);
 
+var manageRolesButtonElement = document.getElementById('manage-roles');
+manageRolesButtonElement.addEventListener('click', manageUserRoles);
+
+var slowModeButtonElement = document.getElementById('slow-mode');
+slowModeButtonElement.addEventListener('click', configureSlowMode);
+
+var retentionButtonElement = document.getElementById('retention-policy');
+retentionButtonElement.addEventListener('click', configureRetentionPolicy);
+
+var importButtonElement = document.getElementById('import-messages');
+var importProgressElement = document.getElementById('import-progress');
+var importFileElement = document.getElementById('import-file');
+importButtonElement.addEventListener('click', function() {
+  importFileElement.click();
+});
+importFileElement.addEventListener('change', importMessagesFromFile);
+
+var reportQueueButtonElement = document.getElementById('report-queue');
+reportQueueButtonElement.addEventListener('click', openReportQueue);
+
+var auditLogButtonElement = document.getElementById('audit-log');
+auditLogButtonElement.addEventListener('click', openAuditLog);
+
 // Saves message on form submit.
 messageFormElement.addEventListener('submit', onMessageFormSubmit);
 signOutButtonElement.addEventListener('click', signOutUser);
 signInButtonGoogle.addEventListener('click', signInGoogle);
 signInButtonFacebook.addEventListener('click', signInFacebook);
 
-// Toggle for the button.
-messageInputElement.addEventListener('keyup', toggleButton);
-messageInputElement.addEventListener('change', toggleButton);
+// Toggle for the button and typing state of the signed-in user.
+messageInputElement.addEventListener('keyup', onMessageInputChange);
+messageInputElement.addEventListener('change', onMessageInputChange);
+messageInputElement.addEventListener('keydown', onMessageInputKeyDown);
+messageInputElement.addEventListener('blur', function() {
+  mentionSuggestionsElement.hidden = true;
+});
+
+// Typing states expire when they stop being refreshed.
+setInterval(displayTypingUsers, 1000);
+
+// Coming back to the page reads the messages of the conversation on screen.
+document.addEventListener('visibilitychange', function() {
+  markConversationRead();
+  displayUnreadCounts();
+});
 
 // Events for image upload.
 imageButtonElement.addEventListener('click', function (e) {
@@ -955,13 +4284,18 @@ imageButtonElement.addEventListener('click', function (e) {
 });
 mediaCaptureElement.addEventListener('change', onMediaFileSelected);
 
+// Voice messages are recorded while the record button is held down.
+recordVoiceButtonElement.addEventListener('pointerdown', startVoiceRecording);
+recordVoiceButtonElement.addEventListener('pointerup', stopVoiceRecording);
+recordVoiceButtonElement.addEventListener('pointerleave', stopVoiceRecording);
+recordVoiceButtonElement.addEventListener('pointercancel', stopVoiceRecording);
+
 const firebaseAppConfig = getFirebaseConfig();
 // TODO 0: Initialize Firebase
 
 // TODO 12: Initialize Firebase Performance Monitoring
 
 initFirebaseAuth();
-loadMessages();
 
 // TODO: Enable Firebase Performance Monitoring.
 getPerformance();
@@ -26,7 +26,6 @@
  import {
    getFirestore,
    collection,
-   addDoc,
    query,
    orderBy,
    limit,
@@ -34,7 +33,12 @@
    setDoc,
    updateDoc,
    doc,
+   getDoc,
+   addDoc,
    serverTimestamp,
+   arrayUnion,
+   writeBatch,
+   increment,
  } from 'firebase/firestore';
  import {
    getStorage,
@@ -85,12 +89,249 @@
    return !!getAuth().currentUser;
  }
  
+ // The channel every user joins when signing in. It is created by the addWelcomeMessages Cloud Function.
+ const DEFAULT_CHANNEL_ID = 'general';
+
+ // The channel whose messages are displayed in the chat.
+ let currentChannelId = DEFAULT_CHANNEL_ID;
+
+ // Function that stops listening to the channel list, called when the user signs out.
+ let unsubscribeChannels = null;
+ 
+ // Returns the messages collection of the current channel.
+ function getMessagesCollection() {
+   return collection(getFirestore(), 'channels', currentChannelId, 'messages');
+ }
+ 
+ // Adds a new message with the given data to the current channel, and records the post in the rate
+ // limits of the signed-in user in the same batch, as required by the security rules.
+ async function postMessage(data) {
+   const messageRef = doc(getMessagesCollection());
+   const rateLimitRef = doc(getFirestore(), 'rateLimits', getAuth().currentUser.uid);
+   const [rateLimitSnap, configSnap] = await Promise.all([
+     getDoc(rateLimitRef),
+     getDoc(doc(getFirestore(), 'config', 'rateLimits')),
+   ]);
+   const windowSeconds = configSnap.exists() ? configSnap.data().windowSeconds : 10;
+
+   const batch = writeBatch(getFirestore());
+   batch.set(messageRef, data);
+   // A new window starts once the current one is over.
+   if (!rateLimitSnap.exists() ||
+       Date.now() >= rateLimitSnap.data().windowStart.toMillis() + windowSeconds * 1000) {
+     batch.set(rateLimitRef, {
+       windowStart: serverTimestamp(),
+       count: 1,
+       lastPostAt: serverTimestamp(),
+       lastMessageId: messageRef.id
+     });
+   } else {
+     batch.update(rateLimitRef, { count: increment(1), lastPostAt: serverTimestamp(), lastMessageId: messageRef.id });
+   }
+   await batch.commit();
+   return messageRef;
+ }
+
+ // Resolves with the given channel once it exists. The default channel is created by the addWelcomeMessages
+ // Cloud Function, which may still be running when a new user signs in for the first time.
+ function waitForChannel(channelRef) {
+   return new Promise(function(resolve, reject) {
+     const unsubscribe = onSnapshot(channelRef, function(channelSnap) {
+       if (channelSnap.exists()) {
+         unsubscribe();
+         resolve(channelSnap);
+       }
+     }, reject);
+   });
+ }
+
+ // Adds the signed-in user to the members of the given channel.
+ async function joinChannel(channelId) {
+   const uid = getAuth().currentUser.uid;
+   const channelRef = doc(getFirestore(), 'channels', channelId);
+   try {
+     let channelSnap = await getDoc(channelRef);
+     if (!channelSnap.exists() && channelId === DEFAULT_CHANNEL_ID) {
+       channelSnap = await waitForChannel(channelRef);
+     }
+     if (channelSnap.exists() && !channelSnap.data().members.includes(uid)) {
+       await updateDoc(channelRef, { members: arrayUnion(uid) });
+     }
+   }
+   catch(error) {
+     console.error('Error joining channel', channelId, error);
+   }
+ }
+
+ // Creates a new channel, with the signed-in user as its only member, and opens it.
+ async function createChannel() {
+   if (!checkSignedInWithMessage()) {
+     return;
+   }
+
+   const name = prompt('Name of the new channel:');
+   if (!name || !name.trim()) {
+     return;
+   }
+
+   try {
+     const uid = getAuth().currentUser.uid;
+     const channelRef = await addDoc(collection(getFirestore(), 'channels'), {
+       name: name.trim(),
+       archived: false,
+       members: [uid],
+       createdBy: uid,
+       createdAt: serverTimestamp()
+     });
+     selectChannel(channelRef.id);
+   }
+   catch(error) {
+     console.error('Error creating channel', error);
+   }
+ }
+
+ // Renames the channel whose rename button was clicked.
+ async function renameChannel(event) {
+   event.stopPropagation();
+   const channelId = event.currentTarget.dataset.channelId;
+   const channelRef = doc(getFirestore(), 'channels', channelId);
+   const channelSnap = await getDoc(channelRef);
+
+   const name = prompt('New name of the channel:', channelSnap.data().name);
+   if (!name || !name.trim()) {
+     return;
+   }
+
+   try {
+     await updateDoc(channelRef, { name: name.trim() });
+   }
+   catch(error) {
+     console.error('Error renaming channel', channelId, error);
+   }
+ }
+
+ // Archives the channel whose archive button was clicked, hiding it from the channel list.
+ async function archiveChannel(event) {
+   event.stopPropagation();
+   const channelId = event.currentTarget.dataset.channelId;
+
+   if (!confirm('The channel will be archived and hidden from the channel list.')) {
+     return;
+   }
+
+   try {
+     await updateDoc(doc(getFirestore(), 'channels', channelId), { archived: true });
+   }
+   catch(error) {
+     console.error('Error archiving channel', channelId, error);
+   }
+ }
+
+ // Joins, if needed, the channel that was clicked in the channel list and displays its messages.
+ async function openChannel(event) {
+   const channelId = event.currentTarget.dataset.channelId;
+   await joinChannel(channelId);
+   selectChannel(channelId);
+ }
+
+ // Displays the messages of the given channel instead of the ones of the current channel.
+ function selectChannel(channelId) {
+   currentChannelId = channelId;
+   for (const channelItem of channelListElement.children) {
+     channelItem.classList.toggle('active', channelItem.dataset.channelId === currentChannelId);
+   }
+   loadMessages();
+ }
+
+ // Loads the channel list and listens for created, renamed and archived channels.
+ function loadChannels() {
+   const channelsQuery = query(collection(getFirestore(), 'channels'), orderBy('name'));
+
+   unsubscribeChannels = onSnapshot(channelsQuery, function(snapshot) {
+     const uid = getAuth().currentUser.uid;
+     channelListElement.innerHTML = '';
+
+     snapshot.forEach(function(channelDoc) {
+       const channel = channelDoc.data();
+
+       // If the current channel gets archived we move back to the default channel.
+       if (channel.archived) {
+         if (channelDoc.id === currentChannelId) {
+           selectChannel(DEFAULT_CHANNEL_ID);
+         }
+         return;
+       }
+
+       channelListElement.appendChild(createChannelItem(channelDoc.id, channel.name,
+           channel.members.includes(uid), channel.createdBy === uid || currentUserRole === 'admin'));
+     });
+   });
+ }
+
+ // Creates the channel list entry of the given channel.
+ // Only its creator and admins get the rename and archive buttons, and the default channel can't be archived.
+ function createChannelItem(channelId, name, isMember, canManage) {
+   const channelItem = document.createElement('li');
+   channelItem.setAttribute('class', 'channel-item');
+   channelItem.setAttribute('data-channel-id', channelId);
+   channelItem.classList.toggle('active', channelId === currentChannelId);
+   channelItem.addEventListener('click', openChannel);
+
+   const nameElement = document.createElement('span');
+   nameElement.setAttribute('class', 'channel-name');
+   nameElement.textContent = '# ' + name;
+   channelItem.appendChild(nameElement);
+
+   if (isMember && canManage) {
+     channelItem.appendChild(createChannelButton(channelId, 'Rename channel', 'edit', renameChannel));
+   }
+   if (isMember && canManage && channelId !== DEFAULT_CHANNEL_ID) {
+     channelItem.appendChild(createChannelButton(channelId, 'Archive channel', 'archive', archiveChannel));
+   }
+   if (!isMember) {
+     channelItem.classList.add('not-member');
+     channelItem.setAttribute('title', 'Join channel');
+   }
+
+   return channelItem;
+ }
+
+ // Creates a button of the channel list entry of the given channel, showing the given Material icon.
+ function createChannelButton(channelId, title, icon, listener) {
+   const button = document.createElement('button');
+   button.setAttribute('title', title);
+   button.setAttribute('data-channel-id', channelId);
+   const iconElement = document.createElement('i');
+   iconElement.setAttribute('class', 'material-icons');
+   iconElement.textContent = icon;
+   button.appendChild(iconElement);
+   button.addEventListener('click', listener);
+   return button;
+ }
+
+ // The role of the signed-in user, read from the `role` custom claim of their ID token:
+ // 'admin', 'moderator', 'member' or null.
+ let currentUserRole = null;
+
+ // Reads the role of the signed-in user from their ID token.
+ async function loadUserRole() {
+   try {
+     const idTokenResult = await getAuth().currentUser.getIdTokenResult();
+     currentUserRole = idTokenResult.claims.role || null;
+   }
+   catch(error) {
+     console.error('Error reading the role of the user', error);
+     currentUserRole = null;
+   }
+ }
+ 
  // Saves a new message to Cloud Firestore.
  async function saveMessage(messageText) {
    // Add a new message entry to the Firebase database.
    try {
-     await addDoc(collection(getFirestore(), 'messages'), {
+     await postMessage({
        name: getUserName(),
+       uid: getAuth().currentUser.uid,
        text: messageText,
        profilePicUrl: getProfilePicUrl(),
        timestamp: serverTimestamp()
@@ -101,13 +342,21 @@
    }
  }
  
- // Loads chat messages history and listens for upcoming ones.
+ // Function that stops listening to the messages, called when the user signs out.
+ let unsubscribeMessages = null;
+
+ // Loads chat messages history of the current channel and listens for upcoming ones.
  function loadMessages() {
+   if (unsubscribeMessages) {
+     unsubscribeMessages();
+   }
+   messageListElement.innerHTML = '';
+
    // Create the query to load the last 12 messages and listen for new ones.
-   const recentMessagesQuery = query(collection(getFirestore(), 'messages'), orderBy('timestamp', 'desc'), limit(12));
+   const recentMessagesQuery = query(getMessagesCollection(), orderBy('timestamp', 'desc'), limit(12));
    
    // Start listening to the query.
-   onSnapshot(recentMessagesQuery, function(snapshot) {
+   unsubscribeMessages = onSnapshot(recentMessagesQuery, function(snapshot) {
      snapshot.docChanges().forEach(function(change) {
        if (change.type === 'removed') {
          deleteMessage(change.doc.id);
@@ -125,8 +374,9 @@
  async function saveImageMessage(file) {
    try {
      // 1 - We add a message with a loading icon that will get updated with the shared image.
-     const messageRef = await addDoc(collection(getFirestore(), 'messages'), {
+     const messageRef = await postMessage({
        name: getUserName(),
+       uid: getAuth().currentUser.uid,
        imageUrl: LOADING_IMAGE_URL,
        profilePicUrl: getProfilePicUrl(),
        timestamp: serverTimestamp()
@@ -135,7 +385,10 @@
      // 2 - Upload the image to Cloud Storage.
      const filePath = `${getAuth().currentUser.uid}/${messageRef.id}/${file.name}`;
      const newImageRef = ref(getStorage(), filePath);
-     const fileSnapshot = await uploadBytesResumable(newImageRef, file);
+     // The channel is kept in the file metadata so Storage rules can check its membership.
+     const fileSnapshot = await uploadBytesResumable(newImageRef, file, {
+       customMetadata: { channelId: currentChannelId }
+     });
      
      // 3 - Generate a public URL for the file.
      const publicImageUrl = await getDownloadURL(newImageRef);
@@ -248,6 +501,14 @@
  
      // We save the Firebase Messaging Device token and enable notifications.
      saveMessagingDeviceToken();
+ 
+     // Admins can manage all channels.
+     loadUserRole().then(loadChannels);
+
+     // Only channel members can read its messages.
+     joinChannel(DEFAULT_CHANNEL_ID).then(function() {
+       selectChannel(DEFAULT_CHANNEL_ID);
+     });
    } else { // User is signed out!
      // Hide user's profile and sign-out button.
      userNameElement.setAttribute('hidden', 'true');
@@ -256,6 +517,20 @@
  
      // Show sign-in button.
      signInButtonElement.removeAttribute('hidden');
+
+     // Stop listening to the messages, which only channel members can read, and to the channel list.
+     if (unsubscribeMessages) {
+       unsubscribeMessages();
+       unsubscribeMessages = null;
+     }
+     if (unsubscribeChannels) {
+       unsubscribeChannels();
+       unsubscribeChannels = null;
+     }
+     messageListElement.innerHTML = '';
+     channelListElement.innerHTML = '';
+     currentChannelId = DEFAULT_CHANNEL_ID;
+     currentUserRole = null;
    }
  }
  
@@ -403,11 +678,14 @@
  var signInButtonElement = document.getElementById('sign-in');
  var signOutButtonElement = document.getElementById('sign-out');
  var signInSnackbarElement = document.getElementById('must-signin-snackbar');
+ var channelListElement = document.getElementById('channel-list');
+ var createChannelButtonElement = document.getElementById('create-channel');
  
  // Saves message on form submit.
  messageFormElement.addEventListener('submit', onMessageFormSubmit);
  signOutButtonElement.addEventListener('click', signOutUser);
  signInButtonElement.addEventListener('click', signIn);
+ createChannelButtonElement.addEventListener('click', createChannel);
  
  // Toggle for the button.
  messageInputElement.addEventListener('keyup', toggleButton);
@@ -423,5 +701,4 @@
 const firebaseApp = initializeApp(getFirebaseConfig());
 getPerformance();
 initFirebaseAuth();
-loadMessages();
  
\ No newline at end of file